@@ -38,6 +38,37 @@ class Sprite {
     }
 }
 
+// A sprite drawn with canvas calls rather than cut from a sheet, for things that don't
+// have art yet.  It's drawn once, when first needed, into a canvas that stands in for
+// the sheet, so it works anywhere a Sprite does (including the menus' CSS icons).
+export class DrawnSprite {
+    constructor(width, height, drawFn) {
+        this.x = 0;
+        this.y = 0;
+        this.width = width;
+        this.height = height;
+        this.anchorX = 0;
+        this.anchorY = 0;
+        this.drawFn = drawFn;
+        this.sheet = null;
+    }
+
+    get spriteSheet() {
+        if (!this.sheet) {
+            const canvas = document.createElement('canvas');
+            canvas.width = this.width;
+            canvas.height = this.height;
+            this.drawFn(canvas.getContext('2d'));
+            this.sheet = { img: canvas, src: canvas.toDataURL() };
+        }
+        return this.sheet;
+    }
+
+    draw(ctx, x, y, width, height) {
+        ctx.drawImage(this.spriteSheet.img, x - this.anchorX, y - this.anchorY, width || this.width, height || this.height);
+    }
+}
+
 class SpriteSheet {
     constructor(src) {
         this.src = src;
@@ -0,0 +1,138 @@
+// Ship layouts as shareable text codes, e.g.
+//
+//     ISN1/5/Hull:2,0;Boiler:2,1;Propellor:3,1
+//
+// that is a version tag, the ship's width in columns (3 to MAX_COLUMNS), and then every
+// module by its moduleName and grid position, in an order they can be built in.  The
+// first entry is the keel: it has to be a hull in the bottom row, off the edge columns,
+// and is placed as-is, everything after it has to pass the usual Ship.canBuildModule
+// rules at that point in the build.  The edge columns stay empty until the ship is as
+// wide as it gets, as building there in play would have widened it.  Importing one pays for the build out of the starting
+// coins (the keel comes free), topping them up first if the design costs more, and only
+// modules unlocked at the start may be used.
+
+import { State, HullModule, moduleTypes, MAX_COLUMNS } from './simulation.js';
+
+const BLUEPRINT_VERSION = 'ISN1';
+
+export function exportBlueprint(ship) {
+    const remaining = [];
+    for (const row of ship.modules) {
+        for (const module of row) {
+            if (moduleTypes.includes(module.constructor)) remaining.push(module);
+        }
+    }
+
+    const keel = remaining.find(module => module.y == 0 && module instanceof HullModule);
+    const ordered = [];
+    const scratch = new State();
+    scratch.ship.clear(ship.columns);
+
+    const place = module => {
+        ordered.push(module);
+        remaining.splice(remaining.indexOf(module), 1);
+        scratch.ship.addModule(module.x, module.y, module.constructor);
+    };
+
+    if (keel) place(keel);
+
+    // replay the build, each time picking the first module that can go on what's there so far
+    while (remaining.length) {
+        const next = remaining.find(module => scratch.ship.canBuildModule(module.x, module.y, module.constructor));
+        if (!next) break;
+        place(next);
+    }
+    // shouldn't happen, but don't lose modules if the ship doesn't follow the rules
+    ordered.push(...remaining);
+
+    const entries = ordered.map(module => `${module.constructor.moduleName}:${module.x},${module.y}`);
+    return `${BLUEPRINT_VERSION}/${ship.columns}/${entries.join(';')}`;
+}
+
+// Returns { columns, placements: [{ ModuleClass, x, y }], cost } after checking every
+// placement in build order; throws an Error saying what's wrong otherwise.
+export function parseBlueprint(code) {
+    const parts = code.trim().split('/');
+    if (parts.length != 3 || parts[0] != BLUEPRINT_VERSION) {
+        throw new Error('That doesn\'t look like a ship blueprint');
+    }
+
+    // the narrowest ship that leaves room for a keel off the edges, up to the widest one can grow
+    const columns = Number(parts[1]);
+    if (!Number.isInteger(columns) || columns < 3 || columns > MAX_COLUMNS) {
+        throw new Error(`Invalid ship width "${parts[1]}" (it has to be 3 to ${MAX_COLUMNS})`);
+    }
+
+    const scratch = new State();
+    scratch.ship.clear(columns);
+    const placements = [];
+    let cost = 0;
+
+    for (const [i, entry] of parts[2].split(';').entries()) {
+        const match = entry.match(/^(.+):(\d+),(\d+)$/);
+        if (!match) {
+            throw new Error(`Can't read entry ${i + 1} ("${entry}")`);
+        }
+
+        const name = match[1];
+        const x = Number(match[2]);
+        const y = Number(match[3]);
+        const ModuleClass = moduleTypes.find(moduleType => moduleType.moduleName == name);
+        if (!ModuleClass) {
+            throw new Error(`Unknown module "${name}"`);
+        }
+        if (!scratch.isUnlocked(ModuleClass)) {
+            throw new Error(`${name} isn't unlocked at the start of a voyage`);
+        }
+
+        if (x >= columns) {
+            throw new Error(`${name} at ${x},${y} is outside the ship`);
+        }
+        if ((x == 0 || x == columns - 1) && columns < MAX_COLUMNS) {
+            throw new Error(`${name} at ${x},${y} is in an edge column, which leaves nowhere to build beside it`);
+        }
+
+        const existing = scratch.ship.getModule(x, y);
+        if (existing && existing.constructor.name != 'NullModule') {
+            throw new Error(`${name} at ${x},${y} overlaps another module`);
+        }
+
+        if (i == 0) {
+            if (ModuleClass != HullModule || y != 0) {
+                throw new Error('The first module has to be a hull in the bottom row');
+            }
+            if (x == 0 || x == columns - 1) {
+                throw new Error('The keel can\'t be in an edge column');
+            }
+        } else if (!scratch.ship.canBuildModule(x, y, ModuleClass)) {
+            throw new Error(`A ${name} can't be built at ${x},${y} (module ${i + 1})`);
+        } else {
+            cost += ModuleClass.cost;
+        }
+
+        scratch.ship.addModule(x, y, ModuleClass);
+        placements.push({ ModuleClass, x, y });
+    }
+
+    return { columns, placements, cost };
+}
+
+// replace everything on `ship` with the layout from a blueprint code, paying for it
+// out of the ship's state
+export function importBlueprint(ship, code) {
+    const { columns, placements, cost } = parseBlueprint(code);
+    // a design worth more than the coins on hand is still built, just with none to spare
+    ship.state.coins = Math.max(ship.state.coins, cost);
+    ship.state.spend(cost);
+
+    ship.clear(columns);
+    for (const { ModuleClass, x, y } of placements) {
+        ship.addModule(x, y, ModuleClass);
+    }
+
+    // they were standing on the old keel
+    for (const member of ship.state.crew) {
+        member.x = ship.boardingX;
+        member.y = 0;
+    }
+}
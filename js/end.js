@@ -1,13 +1,118 @@
 import * as game from "./game.js";
 
-export function setUp(canvasEl, distanceTraveled, timeElapsed) {
+const CHART_WIDTH = 440;
+const CHART_HEIGHT = 180;
+
+// Post-run report: charts of the run's timeline, what broke, and what finally sank the ship.
+export function setUp(canvasEl, summary) {
     canvasEl.onclick = function() { onClick(canvasEl) };
 
     const ctx = canvasEl.getContext('2d');
     ctx.clearRect(0, 0, canvasEl.width, canvasEl.height);
-    ctx.fillStyle = 'black';
-    ctx.fillText(`blub blub. you made it ${Math.floor(distanceTraveled)} meters and stayed afloat ${Math.floor(timeElapsed / 1000)} seconds`, 100, 100);
-    ctx.fillText('click anywhere to try again', 100, 200);
+    ctx.fillStyle = 'cornsilk';
+    ctx.fillRect(0, 0, canvasEl.width, canvasEl.height);
+
+    const left = 50;
+    let yPos = 70;
+
+    ctx.fillStyle = '#242738';
+    ctx.textAlign = 'left';
+    ctx.font = `36pt ${game.FONT_STACK}`;
+    ctx.fillText('Voyage report', left, yPos);
+    yPos += 45;
+
+    ctx.font = `18pt ${game.FONT_STACK}`;
+    ctx.fillText(`${Math.floor(summary.distance)}m in ${Math.floor(summary.time / 1000)}s with ${summary.modules} modules (seed ${summary.seed})`, left, yPos);
+    yPos += 35;
+    ctx.fillText(`Cause of sinking: ${summary.causeOfSinking}`, left, yPos);
+    yPos += 40;
+
+    const draughtBox = { x: left, y: yPos, width: CHART_WIDTH, height: CHART_HEIGHT };
+    drawChart(ctx, draughtBox, 'Draught', summary.timeline, [
+        { key: 'draught', color: 'hsl(210, 60%, 40%)' },
+        // the ship sinks once its draught passes its height
+        { key: 'height', color: 'hsl(0, 60%, 50%)', dashed: true },
+    ]);
+
+    const speedBox = { x: left + CHART_WIDTH + 44, y: yPos, width: CHART_WIDTH, height: CHART_HEIGHT };
+    drawChart(ctx, speedBox, 'Speed', summary.timeline, [
+        { key: 'speed', color: 'hsl(120, 40%, 35%)' },
+    ]);
+    yPos += CHART_HEIGHT + 70;
+
+    drawModuleHistory(ctx, left, yPos, summary.moduleHistory);
+
+    ctx.font = `24pt ${game.FONT_STACK}`;
+    ctx.fillText('click anywhere to try again', left, canvasEl.height - 40);
+}
+
+function drawChart(ctx, box, title, timeline, series) {
+    ctx.save();
+
+    ctx.font = `16pt ${game.FONT_STACK}`;
+    ctx.fillStyle = '#242738';
+    ctx.fillText(title, box.x, box.y);
+
+    const plot = { x: box.x + 40, y: box.y + 15, width: box.width - 40, height: box.height - 35 };
+    ctx.strokeStyle = '#242738';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(plot.x, plot.y);
+    ctx.lineTo(plot.x, plot.y + plot.height);
+    ctx.lineTo(plot.x + plot.width, plot.y + plot.height);
+    ctx.stroke();
+
+    const maxTime = Math.max(1, ...timeline.map(sample => sample.time));
+    let maxValue = 1;
+    for (const { key } of series) {
+        maxValue = Math.max(maxValue, ...timeline.map(sample => sample[key]));
+    }
+
+    ctx.font = `11pt ${game.FONT_STACK}`;
+    ctx.textAlign = 'right';
+    ctx.fillText(Math.ceil(maxValue), plot.x - 5, plot.y + 10);
+    ctx.fillText('0', plot.x - 5, plot.y + plot.height);
+    ctx.fillText(`${Math.floor(maxTime / 1000)}s`, plot.x + plot.width, plot.y + plot.height + 18);
+    ctx.textAlign = 'left';
+
+    ctx.lineWidth = 2;
+    for (const { key, color, dashed } of series) {
+        ctx.strokeStyle = color;
+        ctx.setLineDash(dashed ? [6, 4] : []);
+        ctx.beginPath();
+        for (const [i, sample] of timeline.entries()) {
+            const x = plot.x + (sample.time / maxTime) * plot.width;
+            const y = plot.y + plot.height - (Math.max(0, sample[key]) / maxValue) * plot.height;
+            if (i == 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        }
+        ctx.stroke();
+    }
+
+    ctx.restore();
+}
+
+function drawModuleHistory(ctx, left, yPos, moduleHistory) {
+    const columns = [left, left + 220, left + 340];
+
+    ctx.font = `bold 16pt ${game.FONT_STACK}`;
+    ['Module', 'Broke', 'Repaired'].forEach((text, i) => ctx.fillText(text, columns[i], yPos));
+    yPos += 30;
+
+    ctx.font = `16pt ${game.FONT_STACK}`;
+    const names = Object.keys(moduleHistory);
+    if (names.length == 0) {
+        ctx.fillText('Nothing broke!', columns[0], yPos);
+    }
+
+    for (const name of names) {
+        const { broken, repaired } = moduleHistory[name];
+        [name, broken, repaired].forEach((text, i) => ctx.fillText(text, columns[i], yPos));
+        yPos += 26;
+    }
 }
 
 function onClick(canvasEl) {
@@ -16,5 +121,5 @@ function onClick(canvasEl) {
 }
 
 function tearDown(canvasEl) {
-    canvasEl.onClick = null;
-}
\ No newline at end of file
+    canvasEl.onclick = null;
+}
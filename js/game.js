@@ -1,7 +1,19 @@
 import * as end from './end.js';
 import * as sound from './sound.js';
-
-import { shipSpriteSheet, AnimatedSpriteController, islandSpriteSheet, images, imageLoader } from './art.js';
+import * as save from './save.js';
+import * as highscores from './highscores.js';
+import { exportBlueprint, importBlueprint } from './blueprint.js';
+import { Random } from './random.js';
+import {
+    State, SHIP_MODULE_HEIGHT, SHIP_MODULE_WIDTH, TICK_INTERVAL, DOCK_TIME, moduleTypes,
+    MAX_STAMINA, ROW_STROKE_STAMINA, MAX_CREW, CREW_COST, WEATHER, FORECAST_TIME,
+    FEND_OFF_COST, ENEMY_BOUNTY, MAX_LEVEL, CAPSIZE_ANGLE,
+    HullModule, NullModule, ConstructionModule, SailModule, BoilerModule, PropellerModule,
+    BalloonModule, FinSailModule, CastleModule, SmokeStackModule, PumpModule, LanternModule,
+    CannonModule, PipeModule, CargoHoldModule,
+} from './simulation.js';
+
+import { shipSpriteSheet, AnimatedSpriteController, islandSpriteSheet, images, imageLoader, DrawnSprite } from './art.js';
 
 let canvasEl;
 let ctx;
@@ -10,10 +22,22 @@ let CANVAS_WIDTH, CANVAS_HEIGHT;
 const BUTTON_SIZE = 50;
 const BUTTON_MARGIN = 20;
 
+const AUTOSAVE_INTERVAL = 5 * 1000;
+
 const DEFAULT_WATER_HEIGHT = 100;
 let currentWaterHeight = DEFAULT_WATER_HEIGHT;
+// eased towards the current weather by WeatherController
+let waveScale = 1;
+let skyDarkness = 0;
+
+// top and bottom of the sky at noon and midnight
+const DAY_SKY = [[110, 190, 230], [135, 206, 235]];
+const NIGHT_SKY = [[8, 10, 32], [40, 44, 90]];
+const NIGHT_TINT = [20, 24, 60];
 
-const FONT_STACK =  `'Book Antiqua', Palatino, 'Palatino Linotype', 'Palatino LT STD', Georgia, serif`;
+const mixColors = (from, to, t) => `rgb(${from.map((c, i) => Math.round(c + (to[i] - c) * t)).join(', ')})`;
+
+export const FONT_STACK =  `'Book Antiqua', Palatino, 'Palatino Linotype', 'Palatino LT STD', Georgia, serif`;
 
 const vectorLength = vec => Math.sqrt((vec.x ** 2) + (vec.y ** 2));
 
@@ -49,6 +73,8 @@ class Entity {
         this.alive = true;
         this.zIndex = 0;
         this.canClickWhilePaused = false;
+        // drawn and hit-tested through the camera rather than in screen space
+        this.inWorld = false;
     }
 
     render(now) {}
@@ -68,76 +94,63 @@ const entities = [];
 
 /* game state */
 
-class State {
-    constructor(ship) {
+// The simulation state plus everything that only matters while playing in the browser.
+class GameState extends State {
+    constructor(seed) {
+        super(seed);
         this.debug = false;
-        this.gameRunning = true;
         this.paused = false;
         this.paused_time = 0;
-        this.shipDraught = 10;
-        this.timeAfloat = 0;
-        this.distanceTraveled = 0;
-    
+
         // A higher-resolution version of distanceTraveled.  It won't match exactly though,
         // since it's for rendering the background.  It just has to look reasonably nice.
         this.bgDistanceTraveled = 0;
-    
-        this.speed = 0;
-        this.cooldown = 0;
-        this.currentCallback = null;
-        this.timeElapsed = 0;
-    
+
         this.hoveredEntity = null;
-    
+
         this.currentMouseX = -1;
         this.currentMouseY = -1;
-        this.ship = ship;
+        this.shipView = null;
     }
 
-    get shipHeight() {
-        let height = 0;
-        for (const row of this.ship.modules) {
-            let nonNullModuleSeen = false;
-            for (const module of row) {
-                if (module.constructor.name != 'NullModule') {
-                    nonNullModuleSeen = true;
-                    break;
-                }
-            }
-
-            if (nonNullModuleSeen) {
-                height += SHIP_MODULE_HEIGHT;
-            }
-        }
-        return height;
-    }
-
-    get difficultyCoefficient() {
-        // difficulty doubles for every:
-        return Math.max(
-            this.distanceTraveled / 1000 / 2,  // 2 kilometers, or
-            this.timeElapsed / 1000 / 60 / 2,  // 2 minutes
-        );
-        // whichever is worse!
+    restore(data) {
+        super.restore(data);
+        this.bgDistanceTraveled = this.distanceTraveled / 100;
     }
 
     doPlayerAction(delay, callback) {
-        this.cooldown = delay;
-        this.currentCallback = callback;
+        super.doPlayerAction(delay, callback);
         canvasEl.style.cursor = 'wait';
     }
 
+    finishPlayerAction() {
+        super.finishPlayerAction();
+
+        canvasEl.style.cursor = 'default';
+        this.triggerSyntheticMouseMove();
+    }
+
     triggerSyntheticMouseMove() {
         onMouseMove(new MouseEvent('mousemove', {offsetX: this.currentMouseX, offsetY: this.currentMouseY}));
     }
 }
 
 let state;
+// Everything random that only happens in the browser draws from these instead of the
+// state's seeded generator, so it can't shift what the simulation rolls.  Particles and
+// scenery don't matter to the run; islands and pickups do, so they get a generator
+// seeded from the run's seed in setUp() and turn up the same way on a replay.
+const viewRng = new Random();
+let worldRng;
+let gameController;
+let statsOverlay;
+let pressureOverlay;
+let camera;
 
 function getWaterBob(offset = 0, magnitude = 5, interval = 250) {
     let now = state.paused ? state.paused_time : performance.now();
     const timeElapsed = now - firstFrame;
-    return magnitude * Math.sin((timeElapsed + offset) / interval);
+    return magnitude * waveScale * Math.sin((timeElapsed + offset) / interval);
 }
 
 const isPointInBox = (x, y, box) => !(x < box.x || x > box.x + box.width || y < box.y || y > box.y + box.height);
@@ -150,6 +163,11 @@ function isEntityInteractive(entity) {
     return true;
 }
 
+// the mouse position in whichever space the entity lives in
+function entityPoint(entity, x, y) {
+    return entity.inWorld ? camera.toWorld(x, y) : { x, y };
+}
+
 function onClick(ev) {
     // can't do any buttons while in cooldown
     if (state.cooldown > 0) {
@@ -162,9 +180,10 @@ function onClick(ev) {
 
     for (let entity of entities) {
         if (isEntityInteractive(entity)) {
-            let res = entity.checkClick(x, y);
+            const point = entityPoint(entity, x, y);
+            let res = entity.checkClick(point.x, point.y);
             if (res) {
-                res.onClick(x, y);
+                res.onClick(point.x, point.y);
                 ev.stopPropagation();
                 return;
             }
@@ -186,7 +205,8 @@ function onMouseMove(ev) {
     let newHoveredEntity = null;
     for (let entity of entities) {
         if (isEntityInteractive(entity)) {
-            let res = entity.checkClick(x, y);
+            const point = entityPoint(entity, x, y);
+            let res = entity.checkClick(point.x, point.y);
             if (res) {
                 newHoveredEntity = res;
                 break;
@@ -209,11 +229,11 @@ function onMouseMove(ev) {
 
 
 
-function drawParallax(img, speed, x_offset, y_offset) {
-    var numImages = Math.ceil(CANVAS_WIDTH / (img.width + x_offset)) + 1;
+function drawParallax(img, speed, x_offset, y_offset, left = 0, width = CANVAS_WIDTH) {
+    var numImages = Math.ceil(width / (img.width + x_offset)) + 2;
     var xpos = state.bgDistanceTraveled * 100 * speed % img.width;
     ctx.save();
-    ctx.translate(-xpos, 0);
+    ctx.translate(Math.floor(left / img.width) * img.width - xpos, 0);
     for (var i = 0; i < numImages; i++) {
      ctx.drawImage(img, i * img.width * 1 + x_offset, y_offset);
     }
@@ -225,43 +245,91 @@ function drawParallax(img, speed, x_offset, y_offset) {
 }
 
 class GameController extends Entity {
-    tick(timeSinceLastTick) {
-        const timeElapsed = performance.now() - firstFrame;
-        // lose condition
-        if (state.shipHeight < state.shipDraught && state.gameRunning) {
-            // TODO: if the top row of modules is all NullModule don't count it
-            state.gameRunning = false;
-            state.ship.updating = false;
+    constructor() {
+        super();
+        this.autosaveCountdown = AUTOSAVE_INTERVAL;
+        // real time that hasn't been simulated yet, short of a whole tick
+        this.unsimulatedTime = 0;
+        this.rowBox = null;
+        this.crewBox = null;
+        state.on('stroke', () => sound.play('row'));
+        state.on('sunk', () => {
+            save.clearVoyage();
+            state.shipView.updating = false;
             sound.play('gameover');
             entities.push(new GameOverScreen(state.timeElapsed));
-        }
-
-        if (!state.gameRunning) return;
+        });
+    }
 
+    tick(timeSinceLastTick) {
         // TODO just move this logic into the ship entity
-        if (!state.ship.updating) return;
+        if (!state.shipView.updating) return;
+
+        // The simulation only ever moves in whole TICK_INTERVAL steps, the same as
+        // State.step(), so timer jitter can't change what happens in a run.
+        this.unsimulatedTime += timeSinceLastTick;
+        while (this.unsimulatedTime >= TICK_INTERVAL && state.gameRunning) {
+            state.tick(TICK_INTERVAL);
+            this.unsimulatedTime -= TICK_INTERVAL;
+        }
 
-        // handle cooldowns and actions
-        state.cooldown = Math.max(0, state.cooldown - timeSinceLastTick);
-        if (state.cooldown == 0 && state.currentCallback) {
-            state.currentCallback();
-            state.currentCallback = null;
+        this.autosaveCountdown -= timeSinceLastTick;
+        // try again next frame if an action is under way
+        if (this.autosaveCountdown <= 0 && state.gameRunning && save.saveVoyage(state)) {
+            this.autosaveCountdown = AUTOSAVE_INTERVAL;
+        }
+    }
 
-            canvasEl.style.cursor = 'default';
-            state.triggerSyntheticMouseMove();
+    // the distance counter doubles as the oars, and the crew counter as the hiring hall
+    checkClick(x, y) {
+        if (!state.shipView.updating || !state.gameRunning) return null;
+        for (const box of [this.rowBox, this.crewBox]) {
+            if (box && isPointInBox(x, y, box)) return this;
         }
+        return null;
+    }
 
-        const stats = state.ship.getStats();
-        state.speed = stats.speed || 0;
+    onMouseOver() {
+        canvasEl.style.cursor = 'pointer';
+    }
 
-        state.timeAfloat += timeSinceLastTick;
-        state.distanceTraveled += timeSinceLastTick/100 * state.speed;
-        state.shipDraught += timeSinceLastTick/100 * (stats.weight - (stats.buoyancy || 0));
+    onMouseOut() {
+        canvasEl.style.cursor = 'default';
+    }
+
+    // pull a stroke on the oars, or say why not beside the distance counter
+    row() {
+        const reason = state.row();
+        if (!reason) return;
+
+        sound.play('cancel');
+        const box = this.rowBox || { x: CANVAS_WIDTH, y: 0, height: 0 };
+        const p = emitParticle(TextParticle, 1500, box.x - 150, box.y + box.height / 2);
+        p.text = reason;
+    }
+
+    onClick(x, y) {
+        if (isPointInBox(x, y, this.rowBox)) {
+            this.row();
+            return;
+        }
+
+        const full = state.crew.length >= MAX_CREW;
+        openMenu('Crew', [{
+            title: 'Hire a deckhand',
+            description: full ? 'There\'s no room aboard for anyone else' : `Another pair of hands for repairs<br><i>Costs ${CREW_COST} coins</i>`,
+            disabled: full || state.coins < CREW_COST,
+            onSelect: () => state.hireCrew(),
+        }]);
     }
 
     render(now) {
         // world
-        ctx.fillStyle = 'skyblue';
+        const { daylight } = state;
+        const sky = ctx.createLinearGradient(0, 0, 0, CANVAS_HEIGHT);
+        sky.addColorStop(0, mixColors(NIGHT_SKY[0], DAY_SKY[0], daylight));
+        sky.addColorStop(1, mixColors(NIGHT_SKY[1], DAY_SKY[1], daylight));
+        ctx.fillStyle = sky;
         ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
 
         // bg parallax
@@ -269,8 +337,20 @@ class GameController extends Entity {
         drawParallax(images.parallaxBgOrange, .03, 0, -400);
         drawParallax(images.parallaxBgRed, .05, 0, -800);
 
+        // nightfall
+        if (daylight < 1) {
+            ctx.fillStyle = `rgba(${NIGHT_TINT.join(', ')}, ${(1 - daylight) * .6})`;
+            ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+        }
+
+        // storm clouds
+        if (skyDarkness > 0) {
+            ctx.fillStyle = `rgba(36, 39, 56, ${skyDarkness})`;
+            ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+        }
+
         // TODO move into separate entity
-        if (!state.ship.updating) return;
+        if (!state.shipView.updating) return;
         if (!state.gameRunning) return;
 
         ctx.fillStyle = 'black';
@@ -287,7 +367,23 @@ class GameController extends Entity {
         const distanceText = `${Math.floor(state.distanceTraveled)}m`;
         const textMetrics = ctx.measureText(distanceText);
         ctx.fillText(distanceText, Math.floor(CANVAS_WIDTH - (distanceIcon.width + textMargin*2)) - textMargin, Math.floor(textMetrics.actualBoundingBoxAscent) + verticalOffset + 25);
+        this.rowBox = {
+            x: CANVAS_WIDTH - (distanceIcon.width + textMargin),
+            y: verticalOffset,
+            width: distanceIcon.width,
+            height: distanceIcon.height,
+        };
         verticalOffset += distanceIcon.height + textMargin;
+
+        // stamina for rowing
+        const staminaWidth = 150;
+        const staminaX = CANVAS_WIDTH - (staminaWidth + textMargin);
+        ctx.fillStyle = 'rgba(0, 0, 0, .3)';
+        ctx.fillRect(staminaX, verticalOffset, staminaWidth, 10);
+        ctx.fillStyle = state.stamina < ROW_STROKE_STAMINA ? 'firebrick' : 'cornsilk';
+        ctx.fillRect(staminaX, verticalOffset, staminaWidth * state.stamina / MAX_STAMINA, 10);
+        ctx.fillStyle = 'black';
+        verticalOffset += 10 + textMargin;
         
         // time
         const timeIcon = shipSpriteSheet.sprites.watch_icon;
@@ -304,7 +400,49 @@ class GameController extends Entity {
         const buildText = state.ship.moduleCount;
         const buildTextMetrics = ctx.measureText(buildText);
         ctx.fillText(buildText, Math.floor(CANVAS_WIDTH - (buildIcon.width + textMargin*2)), buildTextMetrics.actualBoundingBoxAscent + verticalOffset + 35);
-
+        verticalOffset += buildIcon.height + textMargin;
+
+        // coins
+        const coinIcon = shipSpriteSheet.sprites.bit_coin;
+        const coinIconSize = coinIcon.width * 4;
+        coinIcon.draw(ctx, CANVAS_WIDTH - (coinIconSize + textMargin * 2.5), verticalOffset + textMargin, coinIconSize, coinIconSize);
+        const coinText = Math.floor(state.coins);
+        const coinTextMetrics = ctx.measureText(coinText);
+        ctx.fillText(coinText, Math.floor(CANVAS_WIDTH - (buildIcon.width + textMargin*2)), coinTextMetrics.actualBoundingBoxAscent + verticalOffset + 25);
+        verticalOffset += coinIconSize + textMargin * 2;
+
+        // crew
+        const crewIconSize = 80;
+        drawCrewMember(CANVAS_WIDTH - (crewIconSize/2 + textMargin), verticalOffset + crewIconSize - textMargin, 1.8);
+        const crewText = `${state.crew.length}/${MAX_CREW}`;
+        const crewTextMetrics = ctx.measureText(crewText);
+        ctx.fillStyle = 'black';
+        ctx.fillText(crewText, Math.floor(CANVAS_WIDTH - (buildIcon.width + textMargin*2)), crewTextMetrics.actualBoundingBoxAscent + verticalOffset + 25);
+        this.crewBox = {
+            x: CANVAS_WIDTH - (crewIconSize + textMargin),
+            y: verticalOffset,
+            width: crewIconSize,
+            height: crewIconSize,
+        };
+        verticalOffset += crewIconSize + textMargin;
+
+        // coal for the boilers
+        const coalIconSize = 60;
+        drawCoal(CANVAS_WIDTH - (coalIconSize/2 + textMargin * 2), verticalOffset + coalIconSize - textMargin, 2);
+        const { fuel, fuelCapacity } = state;
+        const fuelText = Math.floor(fuel);
+        const fuelTextMetrics = ctx.measureText(fuelText);
+        ctx.fillStyle = fuel <= 0 ? 'firebrick' : 'black';
+        ctx.fillText(fuelText, Math.floor(CANVAS_WIDTH - (buildIcon.width + textMargin*2)), fuelTextMetrics.actualBoundingBoxAscent + verticalOffset + 25);
+        verticalOffset += coalIconSize;
+
+        const fuelWidth = 150;
+        const fuelX = CANVAS_WIDTH - (fuelWidth + textMargin);
+        ctx.fillStyle = 'rgba(0, 0, 0, .3)';
+        ctx.fillRect(fuelX, verticalOffset, fuelWidth, 10);
+        ctx.fillStyle = fuel < fuelCapacity / 5 ? 'firebrick' : '#3b3f52';
+        ctx.fillRect(fuelX, verticalOffset, fuelWidth * fuel / fuelCapacity, 10);
+        ctx.fillStyle = 'black';
 
         // pause
         if (state.gameRunning && state.paused) {
@@ -316,24 +454,160 @@ class GameController extends Entity {
     }
 }
 
+class WeatherController extends Entity {
+    constructor() {
+        super();
+        this.zIndex = 150;
+        waveScale = state.currentWeather.waves;
+        skyDarkness = WeatherController.skies[state.weather];
+    }
+
+    tick(timeSinceLastTick) {
+        const { waves } = state.currentWeather;
+        const ease = Math.min(1, timeSinceLastTick / 2000);
+        waveScale += (waves - waveScale) * ease;
+        skyDarkness += (WeatherController.skies[state.weather] - skyDarkness) * ease;
+    }
+
+    render(now) {
+        const drops = WeatherController.rain[state.weather];
+        if (drops > 0) {
+            ctx.strokeStyle = 'rgba(200, 210, 230, .6)';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            for (let i = 0; i < drops; i++) {
+                // scattered but steady from frame to frame, falling with the wind
+                const x = (i * 7919 + now * .3 * state.windDirection) % CANVAS_WIDTH;
+                const y = (i * 104729 + now * 1.2) % CANVAS_HEIGHT;
+                const dropX = x < 0 ? x + CANVAS_WIDTH : x;
+                ctx.moveTo(dropX, y);
+                ctx.lineTo(dropX - 6 * state.windDirection, y + 18);
+            }
+            ctx.stroke();
+        }
+
+        if (!state.shipView.updating || !state.gameRunning) return;
+
+        const { name } = state.currentWeather;
+        ctx.fillStyle = 'black';
+        ctx.font = `24px ${FONT_STACK}`;
+        ctx.fillText(`${name}, ${state.windDirection > 0 ? 'tailwind' : 'headwind'}`, 60, 40);
+
+        if (state.weatherTimeRemaining <= FORECAST_TIME) {
+            const next = WEATHER.find(weather => weather.id == state.nextWeather);
+            ctx.font = `18px ${FONT_STACK}`;
+            ctx.fillText(`${next.name} in ${Math.ceil(state.weatherTimeRemaining / 1000)}s`, 60, 66);
+        }
+    }
+}
+WeatherController.skies = { calm: 0, breeze: 0, gale: .2, storm: .45 };
+WeatherController.rain = { calm: 0, breeze: 0, gale: 40, storm: 160 };
+
 class Island extends Entity {
-    constructor(sprite, startingPoint) {
+    constructor(sprite, startingPoint, dockable) {
         super();
+        this.zIndex = 5;
+        this.inWorld = true;
         this.scale = 1.5;
         this.sprite = sprite;
         this.startingPoint = startingPoint;
+        this.dockable = dockable;
+        this.visited = false;
+        this.promptBox = null;
     }
-    
+
+    get xPos() {
+        return camera.right - ((state.bgDistanceTraveled - this.startingPoint) * 100 * .06);
+    }
+
+    // you can only pull in while the whole island is in view
+    get canDock() {
+        const { sprite, scale, xPos } = this;
+        return this.dockable && !this.visited && state.gameRunning && !state.isDocked &&
+            xPos > camera.left && xPos + sprite.width * scale < camera.right;
+    }
+
+    checkClick(x, y) {
+        if (!this.canDock || !this.promptBox) return null;
+        return isPointInBox(x, y, this.promptBox) ? this : null;
+    }
+
+    onMouseOver() {
+        canvasEl.style.cursor = 'pointer';
+    }
+
+    onMouseOut() {
+        canvasEl.style.cursor = 'default';
+    }
+
+    onClick() {
+        const offers = [
+            {
+                title: 'Shipwright',
+                description: 'Repair every module on the ship',
+                sprite: shipSpriteSheet.sprites.hammer_icon,
+                onSelect: () => state.ship.repairAll(),
+            },
+            {
+                title: 'Dry dock',
+                description: 'Pump the water out of every flooded hull',
+                sprite: shipSpriteSheet.sprites.bucket_icon,
+                onSelect: () => state.ship.drainHulls(),
+            },
+        ];
+
+        const [unlockable] = state.lockedModules;
+        if (unlockable) {
+            offers.push({
+                title: `${unlockable.moduleName} plans`,
+                description: `Learn to build the ${unlockable.moduleName}: ${unlockable.description}`,
+                sprite: moduleViews.get(unlockable).sprite,
+                onSelect: () => state.unlock(unlockable),
+            });
+        }
+
+        for (const offer of offers) {
+            const { onSelect } = offer;
+            offer.description += `<br><i>Stops the ship for ${DOCK_TIME / 1000} seconds</i>`;
+            offer.onSelect = () => {
+                sound.play('building');
+                this.visited = true;
+                state.dock();
+                onSelect();
+            };
+        }
+
+        openMenu('Dock at the island?', offers);
+    }
+
     render() {
         if (!this.alive) return;
 
-        const { sprite, scale, startingPoint } = this;
-        const xPos = CANVAS_WIDTH - ((state.bgDistanceTraveled - startingPoint) * 100 * .06);
-        
+        const { sprite, scale, xPos } = this;
+
         if (xPos <= 0 - sprite.width * scale) {
             this.alive = false;
-        } else {
-            sprite.draw(ctx, xPos, CANVAS_HEIGHT - currentWaterHeight - sprite.height + 20, sprite.width * scale, sprite.height * scale);
+            return;
+        }
+
+        const yPos = CANVAS_HEIGHT - currentWaterHeight - sprite.height + 20;
+        sprite.draw(ctx, xPos, yPos, sprite.width * scale, sprite.height * scale);
+
+        if (this.canDock || (this.visited && state.isDocked)) {
+            const text = state.isDocked ? `Docked (${Math.ceil(state.dockTimeRemaining / 1000)}s)` : 'Dock here';
+            ctx.font = `bold 18pt ${FONT_STACK}`;
+            const textMetrics = ctx.measureText(text);
+            this.promptBox = {
+                x: xPos + (sprite.width * scale - textMetrics.width) / 2 - 10,
+                y: yPos - 50,
+                width: textMetrics.width + 20,
+                height: textMetrics.actualBoundingBoxAscent + 20,
+            };
+
+            ctx.fillStyle = 'cornsilk';
+            ctx.fillRect(this.promptBox.x, this.promptBox.y, this.promptBox.width, this.promptBox.height);
+            ctx.fillStyle = '#242738';
+            ctx.fillText(text, this.promptBox.x + 10, this.promptBox.y + textMetrics.actualBoundingBoxAscent + 10);
         }
     }
 }
@@ -343,6 +617,7 @@ class IslandController extends Entity {
         super();
         this.islands = islandSpriteSheet.getAllSprites();
         this.spawnInterval = 500;
+        this.dockableChance = .5;
         this.islandsSpawned = 0;
     }
 
@@ -350,60 +625,505 @@ class IslandController extends Entity {
         const intervals = Math.floor(state.distanceTraveled / this.spawnInterval);
         if (intervals > this.islandsSpawned) {
             this.islandsSpawned = intervals;
-            const i = Math.floor(Math.random() * this.islands.length);
-            entities.push(new Island(this.islands[i], state.bgDistanceTraveled));
+            const dockable = worldRng.next() < this.dockableChance;
+            entities.push(new Island(worldRng.pick(this.islands), state.bgDistanceTraveled, dockable));
         }
     }
 }
 
-const SHIP_MODULE_HEIGHT = 128;
-const SHIP_MODULE_WIDTH = 128;
+// Flotsam drifting past on the water line; click it before it's gone
+class Pickup extends Entity {
+    constructor(kind, startingPoint) {
+        super();
+        this.zIndex = 50;
+        this.inWorld = true;
+        this.kind = kind;
+        this.startingPoint = startingPoint;
+        this.bobOffset = viewRng.next() * 1000;
+        this.box = { x: 0, y: 0, width: 0, height: 0 };
+    }
 
-class ShipModule extends Entity {
-    static canBuildAt(x, y) { return true; }
+    tick() {
+        const { sprite, scale } = this.kind;
+        this.box.width = sprite.width * scale;
+        this.box.height = sprite.height * scale;
+        this.box.x = camera.right - ((state.bgDistanceTraveled - this.startingPoint) * 100 * .15);
+        this.box.y = CANVAS_HEIGHT - currentWaterHeight - this.box.height / 2 + getWaterBob(this.bobOffset);
 
-    get solid() {
-        return this.constructor.solid;
+        if (this.box.x <= camera.left - this.box.width) {
+            this.alive = false;
+        }
     }
 
-    
-    constructor(ship, x, y) {
+    checkClick(x, y) {
+        if (!state.gameRunning) return null;
+        return isPointInBox(x, y, this.box) ? this : null;
+    }
+
+    onMouseOver() {
+        canvasEl.style.cursor = 'pointer';
+    }
+
+    onMouseOut() {
+        canvasEl.style.cursor = 'default';
+    }
+
+    onClick() {
+        this.alive = false;
+        canvasEl.style.cursor = 'default';
+        sound.play('confirm');
+
+        const message = this.kind.collect();
+        const p = emitParticle(TextParticle, 1500, this.box.x + this.box.width / 2, this.box.y);
+        p.text = message;
+    }
+
+    render() {
+        if (!this.alive || !this.box.width) return;
+        const { x, y, width, height } = this.box;
+        this.kind.sprite.draw(ctx, x, y, width, height);
+    }
+}
+
+Pickup.kinds = [
+    {
+        sprite: shipSpriteSheet.sprites.bit_coin,
+        scale: 3,
+        weight: 3,
+        collect() {
+            state.coins += 5;
+            return '+5 coins';
+        },
+    },
+    {
+        sprite: shipSpriteSheet.sprites.bit_wood,
+        scale: 3,
+        weight: 2,
+        collect() {
+            state.coins += 15;
+            return '+15 coins of salvage';
+        },
+    },
+    {
+        // spare parts: fix whatever is worst off right away
+        sprite: shipSpriteSheet.sprites.bit_plate,
+        scale: 3,
+        weight: 1,
+        collect() {
+            const module = state.ship.mostDamagedModule;
+            if (!module) {
+                state.coins += 10;
+                return 'Nothing to fix: +10 coins';
+            }
+            module.fix();
+            return `Repaired a ${module.constructor.moduleName}`;
+        },
+    },
+    {
+        // a sack of coal for the boilers
+        sprite: shipSpriteSheet.sprites.bit_brick,
+        scale: 3,
+        weight: 3,
+        collect() {
+            const added = state.addFuel(25);
+            if (!added) {
+                state.coins += 5;
+                return 'No room for coal: +5 coins';
+            }
+            return `+${Math.round(added)} coal`;
+        },
+    },
+];
+
+class PickupController extends Entity {
+    constructor() {
         super();
-        this.sprite = null;
-        this.icon = null;
-        this.health = 10;
-        this.ship = ship;
-        // x and y here are coordinates in the ship's grid, not relative to canvas!
-        this.x = x;
-        this.y = y;
-        this.damage = 0;
+        this.spawnInterval = 60;
+        this.spawnChance = .5;
+        this.intervalsChecked = 0;
+    }
 
-        this.damageLevel = 'normal';
-        this.isBeingRepaired = false;
+    tick() {
+        const intervals = Math.floor(state.distanceTraveled / this.spawnInterval);
+        if (intervals > this.intervalsChecked) {
+            this.intervalsChecked = intervals;
+            if (worldRng.next() < this.spawnChance) {
+                entities.push(new Pickup(this.pickKind(), state.bgDistanceTraveled));
+            }
+        }
     }
 
-    get weight() {
-        return 5;
+    pickKind() {
+        const totalWeight = Pickup.kinds.reduce((total, kind) => total + kind.weight, 0);
+        let roll = worldRng.next() * totalWeight;
+        for (const kind of Pickup.kinds) {
+            roll -= kind.weight;
+            if (roll < 0) return kind;
+        }
+        return Pickup.kinds[0];
+    }
+}
+
+// Rocks, reefs and monsters coming at the ship, as the simulation moves them
+class HazardView extends Entity {
+    constructor(hazard) {
+        super();
+        this.zIndex = 12;
+        this.inWorld = true;
+        this.hazard = hazard;
+        this.type = state.hazardType(hazard);
+        this.box = { x: 0, y: 0, width: 120, height: 0 };
+    }
+
+    tick() {
+        if (!state.hazards.includes(this.hazard)) {
+            this.alive = false;
+            return;
+        }
+
+        const { box } = state.shipView;
+        const waterLine = CANVAS_HEIGHT - currentWaterHeight;
+        // fast ships see hazards closer than they are, so there's time to click them
+        const ahead = Math.min(this.hazard.distance * HazardView.PIXELS_PER_METER, state.timeToImpact(this.hazard) * HazardView.PIXELS_PER_MS);
+        this.box.x = box.x + box.width + ahead;
+        this.box.y = waterLine + this.type.top;
+        this.box.height = Math.min(this.type.bottom, currentWaterHeight) - this.type.top;
     }
 
-    get fragility() {
-        return 0;
+    get inRange() {
+        return state.canFendOff(this.hazard);
     }
 
-    get percentSubmerged() {
-        return Math.max(0, Math.min(1, (state.shipDraught - (this.y * SHIP_MODULE_HEIGHT)) / SHIP_MODULE_HEIGHT));
+    checkClick(x, y) {
+        if (!state.gameRunning || !this.box.height) return null;
+        return isPointInBox(x, y, this.box) ? this : null;
+    }
+
+    onMouseOver() {
+        canvasEl.style.cursor = 'pointer';
+    }
+
+    onMouseOut() {
+        canvasEl.style.cursor = 'default';
+    }
+
+    onClick() {
+        const reason = state.fendOff(this.hazard);
+        const p = emitParticle(TextParticle, 1500, this.box.x + this.box.width / 2, this.box.y);
+        if (reason) {
+            sound.play('cancel');
+            p.text = reason;
+        } else {
+            sound.play('row');
+            p.text = `Fended off the ${this.type.name.toLowerCase()}`;
+        }
+    }
+
+    render() {
+        if (!this.alive || !this.box.height) return;
+        const { x, y, width, height } = this.box;
+
+        if (this.hazard.type == 'monster') {
+            const bob = getWaterBob(this.hazard.distance * 10, 12, 200);
+            ctx.fillStyle = 'seagreen';
+            ctx.beginPath();
+            ctx.ellipse(x + width / 2, y + height / 2 + bob, width / 2, height / 2, 0, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillStyle = 'gold';
+            ctx.beginPath();
+            ctx.arc(x + width / 4, y + height / 4 + bob, 10, 0, Math.PI * 2);
+            ctx.fill();
+        } else {
+            ctx.fillStyle = this.hazard.type == 'reef' ? 'rgba(205, 92, 92, .8)' : 'slategray';
+            ctx.beginPath();
+            ctx.moveTo(x, y + height);
+            ctx.lineTo(x + width * .3, y);
+            ctx.lineTo(x + width * .6, y + height * .2);
+            ctx.lineTo(x + width, y + height);
+            ctx.closePath();
+            ctx.fill();
+        }
+
+        if (this.inRange && state.gameRunning) {
+            ctx.fillStyle = 'black';
+            ctx.font = `18px ${FONT_STACK}`;
+            ctx.fillText(`Fend off (${FEND_OFF_COST} coins)`, x, y - 10);
+        }
+    }
+}
+HazardView.PIXELS_PER_METER = 4;
+HazardView.PIXELS_PER_MS = .08;
+
+class HazardController extends Entity {
+    constructor() {
+        super();
+        this.seen = new WeakSet();
+        state.on('hazardHit', (hazard, modules) => {
+            sound.play('breaking');
+            for (const module of modules) {
+                const view = state.shipView.getView(module);
+                for (let i = 0; i < 5; i++) {
+                    const p = emitParticle(BitParticle, 700, view.globalX + SHIP_MODULE_WIDTH, view.globalY - viewRng.next() * SHIP_MODULE_HEIGHT);
+                    p.sprite = viewRng.pick(ConstructionView.BITS);
+                }
+            }
+        });
+    }
+
+    // the simulation spawns hazards (and a restored voyage brings its own)
+    tick() {
+        for (const hazard of state.hazards) {
+            if (this.seen.has(hazard)) continue;
+            this.seen.add(hazard);
+            entities.push(new HazardView(hazard));
+        }
+    }
+}
+
+// An enemy ship sailing in from the right, shelling us until it leaves or sinks
+class EnemyShipView extends Entity {
+    constructor(enemy) {
+        super();
+        this.zIndex = 8;
+        this.inWorld = true;
+        this.enemy = enemy;
+        this.x = camera.right + 50;
+        this.sinking = 0;
+    }
+
+    get gone() {
+        return state.enemy !== this.enemy;
+    }
+
+    get cannonPosition() {
+        return { x: this.x, y: CANVAS_HEIGHT - currentWaterHeight - 80 };
+    }
+
+    tick(timeSinceLastTick) {
+        const holdX = camera.right - EnemyShipView.WIDTH - 40;
+        if (!this.gone) {
+            this.x = Math.max(holdX, this.x - timeSinceLastTick * .2);
+        } else if (this.enemy.health > 0) {
+            // sailing off
+            this.x += timeSinceLastTick * .2;
+        } else {
+            this.sinking += timeSinceLastTick * .1;
+        }
+
+        if (this.x > camera.right + 50 || this.sinking > 300) {
+            this.alive = false;
+        }
+    }
+
+    render() {
+        const waterLine = CANVAS_HEIGHT - currentWaterHeight;
+        ctx.save();
+        ctx.translate(this.x, waterLine + 40 + this.sinking + getWaterBob(500, 4));
+        ctx.scale(.5, .5);
+        for (let i = 0; i < 3; i++) {
+            shipSpriteSheet.sprites.hull.draw(ctx, i * SHIP_MODULE_WIDTH, -SHIP_MODULE_HEIGHT);
+        }
+        shipSpriteSheet.sprites.sail.draw(ctx, SHIP_MODULE_WIDTH, -SHIP_MODULE_HEIGHT * 2);
+        ctx.restore();
+
+        if (this.gone) return;
+
+        const { health, maxHealth } = this.enemy;
+        const barY = waterLine - 200;
+        ctx.fillStyle = 'rgba(0, 0, 0, .3)';
+        ctx.fillRect(this.x, barY, EnemyShipView.WIDTH, 10);
+        ctx.fillStyle = 'firebrick';
+        ctx.fillRect(this.x, barY, EnemyShipView.WIDTH * health / maxHealth, 10);
+    }
+}
+EnemyShipView.WIDTH = SHIP_MODULE_WIDTH * 1.5;
+
+class EnemyController extends Entity {
+    constructor() {
+        super();
+        this.view = null;
+
+        state.on('enemyFired', module => {
+            if (this.view) {
+                const { x, y } = this.view.cannonPosition;
+                emitParticle(BoilerSmokeParticle, 800, x, y);
+            }
+
+            sound.play('breaking');
+            const view = state.shipView.getView(module);
+            for (let i = 0; i < 5; i++) {
+                const p = emitParticle(BitParticle, 700, view.globalX + viewRng.next() * SHIP_MODULE_WIDTH, view.globalY - viewRng.next() * SHIP_MODULE_HEIGHT);
+                p.sprite = viewRng.pick(ConstructionView.BITS);
+            }
+        });
+        state.on('cannonFired', (cannon, hit) => {
+            sound.play('boiler-break');
+            const view = state.shipView.getView(cannon);
+            emitParticle(BoilerSmokeParticle, 800, view.globalX + SHIP_MODULE_WIDTH, view.globalY - SHIP_MODULE_HEIGHT / 2);
+
+            if (hit && this.view) {
+                for (let i = 0; i < 5; i++) {
+                    const p = emitParticle(BitParticle, 700, this.view.x + viewRng.next() * EnemyShipView.WIDTH, CANVAS_HEIGHT - currentWaterHeight - viewRng.next() * 60);
+                    p.sprite = shipSpriteSheet.sprites.bit_wood;
+                }
+            }
+        });
+        state.on('enemySunk', enemy => {
+            // it may have gone down before its view was even made
+            const x = this.view && this.view.enemy === enemy ? this.view.x : CANVAS_WIDTH / 2;
+            const p = emitParticle(TextParticle, 2000, x, CANVAS_HEIGHT - currentWaterHeight - 220);
+            p.text = `Enemy sunk! +${ENEMY_BOUNTY} coins`;
+        });
+    }
+
+    // the simulation brings enemies in (and a restored voyage may have one already)
+    tick() {
+        if (state.enemy && (!this.view || this.view.enemy !== state.enemy)) {
+            this.view = new EnemyShipView(state.enemy);
+            entities.push(this.view);
+        }
+    }
+}
+
+// Shows a #module-menu with one button per option and pauses the game until the player
+// picks one or cancels.  Options are { title, description, sprite, disabled, onSelect }.
+function openMenu(title, options) {
+    sound.play('confirm');
+    const menuEl = document.createElement('div');
+
+    const headerEl = document.createElement('h1');
+    headerEl.textContent = title;
+    menuEl.appendChild(headerEl);
+
+    menuEl.id = 'module-menu';
+
+    const clickHandler = (ev) => {
+        const { option } = ev.target;
+        if (option && option.disabled) return;
+
+        if (option) {
+            option.onSelect();
+        } else {
+            sound.play('cancel');
+        }
+
+        menuEl.remove();
+        document.body.removeEventListener('click', clickHandler);
+        state.paused = false;
+    };
+    document.body.addEventListener('click', clickHandler);
+
+    for (const option of options) {
+        const optionEl = document.createElement('button');
+        const { sprite } = option;
+        optionEl.option = option;
+        if (option.disabled) optionEl.classList.add('disabled');
+
+        optionEl.innerHTML = `<p class="description"><b>${option.title}</b><br>${option.description}</p>`;
+
+        if (sprite) {
+            const div = document.createElement('div');
+            div.classList.add('icon');
+            div.style.background = `url(${sprite.spriteSheet.src}) no-repeat -${sprite.x}px -${sprite.y}px`;
+            div.style.width = sprite.width + 'px';
+            div.style.height = sprite.height + 'px';
+
+            optionEl.appendChild(div);
+        }
+
+        menuEl.appendChild(optionEl);
+    }
+
+    const cancelEl = document.createElement('button');
+    cancelEl.id = 'cancel';
+    cancelEl.innerHTML = '<p class="description">Cancel</p>';
+    menuEl.appendChild(cancelEl);
+
+    state.paused = true;
+    state.paused_time = performance.now();
+    document.body.appendChild(menuEl);
+}
+
+// there's no art for the crew, so they're drawn by hand, standing at (x, y)
+function drawCrewMember(x, y, scale = 1) {
+    ctx.save();
+    ctx.translate(x, y);
+    ctx.scale(scale, scale);
+    ctx.fillStyle = '#242738';
+    ctx.fillRect(-6, -22, 12, 22);
+    ctx.fillStyle = 'peachpuff';
+    ctx.beginPath();
+    ctx.arc(0, -30, 8, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = 'firebrick';
+    ctx.fillRect(-9, -39, 18, 5);
+    ctx.restore();
+}
+
+// a heap of coal, sitting on x, y
+function drawCoal(x, y, scale = 1) {
+    ctx.save();
+    ctx.translate(x, y);
+    ctx.scale(scale, scale);
+    ctx.fillStyle = '#242738';
+    ctx.beginPath();
+    ctx.arc(-8, -6, 7, 0, Math.PI * 2);
+    ctx.arc(8, -6, 7, 0, Math.PI * 2);
+    ctx.arc(0, -15, 7, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+}
+
+// a little gold roundel in the corner of an upgraded module's cell
+function drawLevelBadge(level) {
+    const x = SHIP_MODULE_WIDTH - 20;
+    const y = -SHIP_MODULE_HEIGHT + 20;
+    ctx.fillStyle = 'gold';
+    ctx.beginPath();
+    ctx.arc(x, y, 14, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = '#242738';
+    ctx.font = `bold 18px ${FONT_STACK}`;
+    ctx.textAlign = 'center';
+    ctx.fillText(level, x, y + 6);
+    ctx.textAlign = 'left';
+}
+
+// warm light spilling out around (x, y), brighter the darker it gets
+function drawGlow(x, y, radius) {
+    const alpha = (1 - state.daylight) * .5;
+    if (alpha <= 0) return;
+
+    const glow = ctx.createRadialGradient(x, y, 0, x, y, radius);
+    glow.addColorStop(0, `rgba(255, 210, 120, ${alpha})`);
+    glow.addColorStop(1, 'rgba(255, 210, 120, 0)');
+    ctx.fillStyle = glow;
+    ctx.fillRect(x - radius, y - radius, radius * 2, radius * 2);
+}
+
+// Each simulated module gets a view that knows how to draw it and how the player
+// interacts with it.  Views are created lazily by ShipView, see moduleViews below.
+class ModuleView extends Entity {
+    constructor(shipView, module) {
+        super();
+        this.shipView = shipView;
+        this.module = module;
+        this.sprite = null;
+        this.icon = null;
     }
 
     get globalX() {
-        return this.ship.box.x + (this.x * SHIP_MODULE_WIDTH);
+        return this.shipView.box.x + (this.module.x * SHIP_MODULE_WIDTH);
     }
 
     get globalY() {
-        return this.ship.box.y + (this.y * -SHIP_MODULE_HEIGHT);
+        return this.shipView.box.y + (this.module.y * -SHIP_MODULE_HEIGHT);
     }
 
-    getStats() {
-        return {};
+    // at night you can only make things out near a light
+    get isVisible() {
+        const { module } = this;
+        return !state.isNight || module.ship.lightAt(module.x, module.y) > 0;
     }
 
     updateDisplay() {}
@@ -416,41 +1136,22 @@ class ShipModule extends Entity {
     onFixed() {}
 
     tick(timeSinceLastTick) {
+        const { module } = this;
         this.icon = null;
 
-        if (this.percentSubmerged > 0 && Math.random() < (timeSinceLastTick * state.speed / 1000)) {
-            const spriteX = this.globalX + (Math.random() * SHIP_MODULE_WIDTH);
+        if (module.percentSubmerged > 0 && viewRng.next() < (timeSinceLastTick * state.speed / 1000)) {
+            const spriteX = this.globalX + (viewRng.next() * SHIP_MODULE_WIDTH);
             const spriteY = CANVAS_HEIGHT - currentWaterHeight + getWaterBob();
             emitParticle(SprayParticle, 600, spriteX, spriteY);
         }
 
-        if (this.fragility != 0) {
-            if (Math.random() < timeSinceLastTick * .0005) {
-                const boost = this.fragility * state.difficultyCoefficient * (timeSinceLastTick/25) * Math.random();
-                this.damage = Math.min(this.health, this.damage + boost);
-            }
-            
-            if (this.damageLevel != 'broken' && this.damage == this.health) {
-                this.damageLevel = 'broken';
-                this.onBreak();
-            } else if (this.damageLevel == 'normal' && this.damage > this.health/2) {
-                this.damageLevel = 'damaged';
-                this.onDamage();
-            } else if (this.damageLevel != 'normal' && this.damage == 0) {
-                this.damageLevel = 'normal';
-                this.onFixed();
-            }
-        }
-
-        if (this.damageLevel === 'broken' && isEntityInteractive(this) && this.percentSubmerged < 1) {
+        if (module.damageLevel === 'broken' && isEntityInteractive(this) && module.percentSubmerged < 1 && this.isVisible) {
             this.icon = shipSpriteSheet.sprites.hammer_icon;
         }
     }
 
     onMouseOver() {
-        if (this.damageLevel != 'normal') {
-            canvasEl.style.cursor = 'pointer'; // TODO: wrench
-        }
+        canvasEl.style.cursor = 'pointer'; // TODO: wrench when damaged
     }
 
     onMouseOut() {
@@ -458,15 +1159,43 @@ class ShipModule extends Entity {
     }
 
     onClick(x, y) {
-        if (this.damageLevel != 'normal') {
-            this.onStartFix();
-            this.isBeingRepaired = true;
-            state.doPlayerAction(1000, () => {
-                this.damage = 0;
-                this.isBeingRepaired = false;
-                this.onFixed();
+        const { module } = this;
+        if (module.damageLevel != 'normal') {
+            const reason = module.repair();
+            if (reason) this.showMessage(reason);
+            return;
+        }
+
+        const options = [];
+        const { level, upgradeCost } = module;
+        if (module.constructor.cost) {
+            const maxed = level >= MAX_LEVEL;
+            options.push({
+                title: maxed ? 'Fully upgraded' : `Upgrade to level ${level + 1}`,
+                description: maxed ? 'It doesn\'t get any better than this' : `Works harder and breaks less, but weighs a little more<br><i>Costs ${upgradeCost} coins</i>`,
+                sprite: shipSpriteSheet.sprites.hammer_icon,
+                disabled: maxed || upgradeCost > state.coins,
+                onSelect: () => module.upgrade(),
             });
         }
+
+        const reason = module.ship.canRemoveModule(module.x, module.y);
+        options.push({
+            title: 'Demolish',
+            description: reason || `Tear it down to make room (or lose the weight)<br><i>Refunds ${module.refund} coins</i>`,
+            sprite: shipSpriteSheet.sprites.hammer_icon,
+            disabled: !!reason,
+            onSelect: () => module.demolish(),
+        });
+
+        openMenu(`${module.constructor.moduleName} (level ${level})`, options);
+    }
+
+    // tell the player why something didn't work, over the module
+    showMessage(text) {
+        sound.play('cancel');
+        const p = emitParticle(TextParticle, 1500, this.globalX + SHIP_MODULE_WIDTH / 2, this.globalY - SHIP_MODULE_HEIGHT / 2);
+        p.text = text;
     }
 
     render() {
@@ -476,60 +1205,29 @@ class ShipModule extends Entity {
         }
     }
 }
-ShipModule.solid = true;
 
-class HullModule extends ShipModule { 
-    constructor(ship, x, y) {
-        super(ship, x, y);
-        this.sprite = HullModule.sprite;
+class HullView extends ModuleView {
+    constructor(shipView, module) {
+        super(shipView, module);
+        this.sprite = HullView.sprite;
         this.defaultSprite = shipSpriteSheet.sprites.hull;
         this.bustedSprite = shipSpriteSheet.sprites.busted_hull;
         this.topHullSprite = shipSpriteSheet.sprites.top_hull;
         this.sideHullSprite = shipSpriteSheet.sprites.side_hull;
         this.renderTopHull = false;
         this.renderLeftHull = false;
-        this.floodAmount = 0;
-        this.buoyancy = 20;
         this.updateDisplay();
     }
 
-    static canBuildAt(modX, modY) {        
-        const moduleBelow = state.ship.getModule(modX, modY - 1);
-        if (moduleBelow && moduleBelow.solid) return true;
-        
-        const left = state.ship.getModule(modX - 1, modY, HullModule);
-        if (left && left.solid) return true;
-
-        const right = state.ship.getModule(modX + 1, modY, HullModule);
-        if (right && right.solid) return true;
-
-        return false;
-    }
-
-    get fragility() {
-        for (let i = -1; i < 2; i++) {
-            for (let j = -1; j < 2; j++) {
-                if (j == 0 || i == 0) { // don't count diagonals
-                    if (i == 0 && j == 0) continue; // don't count self
-                    const adjacentModule = this.ship.getModule(this.x + i, this.y + j);
-                    if (adjacentModule && adjacentModule.constructor.name == 'CastleModule') {
-                        return .5;
-                    }
-                }
-            }
-        }
-
-        return 1;
-    }
-
     tick(timeSinceLastTick, now) {
-        if (!this.percentSubmerged > 0)
+        if (this.module.percentSubmerged == 0)
             return;
 
         super.tick(timeSinceLastTick, now);
 
-        if (this.damageLevel == 'broken') {
-            this.floodAmount = Math.min(this.buoyancy, this.floodAmount + timeSinceLastTick/1000 * 3);
+        const { module } = this;
+        if (this.icon && module.floodAmount > module.buoyancy / 2) {
+            this.icon = shipSpriteSheet.sprites.bucket_icon;
         }
     }
 
@@ -537,19 +1235,41 @@ class HullModule extends ShipModule {
         sound.play('breaking');
     }
 
-    onFixed() {
-        this.floodAmount = 0;
+    onStartBail() {
+        sound.play('bucket');
     }
 
-    getStats() {
-        const percentSubmerged = this.percentSubmerged;
-        return {
-            'buoyancy': percentSubmerged > 0 ? this.buoyancy * percentSubmerged - this.floodAmount: 0,
+    onClick(x, y) {
+        const { module } = this;
+        if (module.floodAmount == 0) {
+            super.onClick(x, y);
+            return;
         }
+
+        const { repairCost } = module;
+        openMenu('Flooding hull', [
+            {
+                title: 'Repair',
+                description: `Patch the breach for good<br><i>Costs ${repairCost} coins</i>`,
+                sprite: shipSpriteSheet.sprites.hammer_icon,
+                disabled: repairCost > state.coins,
+                onSelect: () => {
+                    const reason = module.repair();
+                    if (reason) this.showMessage(reason);
+                },
+            },
+            {
+                title: 'Bail',
+                description: 'Scoop some of the water out. More will come in until the hull is repaired',
+                sprite: shipSpriteSheet.sprites.bucket_icon,
+                onSelect: () => module.bail(),
+            },
+        ]);
     }
 
     render() {
-        this.sprite = this.damageLevel != 'normal' ? this.bustedSprite : this.defaultSprite;
+        const { module } = this;
+        this.sprite = module.damageLevel != 'normal' ? this.bustedSprite : this.defaultSprite;
         super.render();
 
         if (this.renderTopHull) {
@@ -557,17 +1277,17 @@ class HullModule extends ShipModule {
                 this.topHullSprite.draw(ctx, 0, -SHIP_MODULE_HEIGHT);
             }
         }
-        
+
         // don't show indicator overlays during game over screen
-        if (!this.ship.updating || !state.gameRunning) return;
-        
-        if (this.floodAmount > 0) {
+        if (!this.shipView.updating || !state.gameRunning) return;
+
+        if (module.floodAmount > 0) {
             ctx.fillStyle = 'rgba(0, 0, 255, .5)';
-            const percentFlooded = this.floodAmount / this.buoyancy;
+            const percentFlooded = module.floodAmount / module.buoyancy;
             ctx.fillRect(0, Math.ceil(-SHIP_MODULE_HEIGHT * percentFlooded), SHIP_MODULE_WIDTH, Math.ceil(SHIP_MODULE_HEIGHT * percentFlooded));
         }
     }
-    
+
     renderLate() {
         if (this.renderLeftHull) {
             if (this.sideHullSprite) {
@@ -577,32 +1297,28 @@ class HullModule extends ShipModule {
     }
 
     updateDisplay() {
-        const moduleAbove = this.ship.getModule(this.x, this.y + 1);
+        const { ship, x, y } = this.module;
+        const moduleAbove = ship.getModule(x, y + 1);
         this.renderTopHull = moduleAbove && moduleAbove.solid;
-        this.renderLeftHull = !!this.ship.getModule(this.x - 1, this.y, HullModule);
+        this.renderLeftHull = !!ship.getModule(x - 1, y, HullModule);
     }
 }
-HullModule.sprite = shipSpriteSheet.sprites.hull;
-HullModule.moduleName = 'Hull';
-HullModule.description = 'Makes you float';
+HullView.sprite = shipSpriteSheet.sprites.hull;
 
-class NullModule extends ShipModule {
-    constructor(ship, x, y) {
-        super(ship, x, y);
+class NullView extends ModuleView {
+    constructor(shipView, module) {
+        super(shipView, module);
         this.showOutline = false;
         this.showBackground = false;
         this.buildOptions = [];
         this.updateDisplay();
     }
 
-    get weight() {
-        return 0;
-    }
-
     updateDisplay() {
+        const { ship, x, y } = this.module;
         this.buildOptions.length = 0;
         for (const moduleType of moduleTypes) {
-            if (this.ship.canBuildModule(this.x, this.y, moduleType)) {
+            if (ship.state.isUnlocked(moduleType) && ship.canBuildModule(x, y, moduleType)) {
                 this.buildOptions.push(moduleType);
             }
         }
@@ -626,74 +1342,29 @@ class NullModule extends ShipModule {
             return;
         }
 
-        sound.play('confirm');
-        const menuEl = document.createElement('div');
-
-        const headerEl = document.createElement('h1');
-        headerEl.textContent = 'Construct a module';
-        menuEl.appendChild(headerEl);
-
-        menuEl.id = 'module-menu';
+        const { ship } = this.module;
 
-        const clickHandler = (ev) => {
-            if (ev.target.moduleType) {
+        openMenu('Construct a module', this.buildOptions.map(moduleType => ({
+            title: moduleType.moduleName,
+            description: `${moduleType.description}<br><i>Costs ${moduleType.cost} coins, upgrades up to level ${MAX_LEVEL}</i>`,
+            sprite: moduleViews.get(moduleType).sprite,
+            disabled: state.coins < moduleType.cost,
+            onSelect: () => {
                 sound.play('building');
-                this.ship.addModule(this.x, this.y, ConstructionModule);
-
-                state.doPlayerAction(1000, () => {
-                    this.ship.addModule(this.x, this.y, ev.target.moduleType);
-                });
-            } else {
-                sound.play('cancel');
-            }
-
-            menuEl.remove();
-            document.body.removeEventListener('click', clickHandler);
-            state.paused = false;
-        };
-        document.body.addEventListener('click', clickHandler);
-
-        for (const moduleType of this.buildOptions) {
-            const moduleEl = document.createElement('button');
-            const sprite = moduleType.sprite;
-            moduleEl.moduleType = moduleType;
- 
-            if (sprite) {
-                const div = document.createElement('div');
-                div.classList.add('icon');
-                div.style.background = `url(${sprite.spriteSheet.src}) no-repeat -${sprite.x}px -${sprite.y}px`;
-                div.style.width = sprite.width + 'px';
-                div.style.height = sprite.height + 'px';
-
-                moduleEl.innerHTML = `<p class="description"><b>${moduleType.moduleName}</b><br>${moduleType.description}</p>`;
-
-                moduleEl.appendChild(div);
-            } else {
-                moduleEl.textContent = moduleType.name;
-            }
-
-            menuEl.appendChild(moduleEl);
-        }
-
-        const cancelEl = document.createElement('button');
-        cancelEl.id = 'cancel';
-        cancelEl.innerHTML = '<p class="description">Cancel</p>';
-        menuEl.appendChild(cancelEl);
-
-        state.paused = true;
-        state.paused_time = performance.now();
-        document.body.appendChild(menuEl);
+                ship.construct(this.module.x, this.module.y, moduleType);
+            },
+        })));
     }
 
     render() {
-        if (!state.ship.updating) return;
+        if (!this.shipView.updating) return;
         if (!this.showBackground) return;
 
         super.render();
 
         if (state.cooldown == 0 && this.showOutline) {
             if (this.showOutline) {
-                NullModule.outlineSprite.draw(ctx, 0, -SHIP_MODULE_HEIGHT);
+                NullView.outlineSprite.draw(ctx, 0, -SHIP_MODULE_HEIGHT);
             }
         }
 
@@ -705,273 +1376,295 @@ class NullModule extends ShipModule {
 
     tick() {}
 }
-NullModule.sprite = shipSpriteSheet.sprites.square_bg;
-NullModule.outlineSprite = shipSpriteSheet.sprites.square_outline;
-NullModule.solid = false;
+NullView.sprite = shipSpriteSheet.sprites.square_bg;
+NullView.outlineSprite = shipSpriteSheet.sprites.square_outline;
+
+class ConstructionView extends ModuleView {
+    onMouseOver() {}
+    onClick() {}
 
-class ConstructionModule extends ShipModule {
     tick() {
-        if (Math.random() < .3) {
-            const p = emitParticle(BitParticle, 700, this.globalX + Math.random() * SHIP_MODULE_WIDTH, this.globalY - (Math.random() * SHIP_MODULE_HEIGHT/2));
-            p.sprite = ConstructionModule.BITS[Math.floor(Math.random() * ConstructionModule.BITS.length)];
+        if (viewRng.next() < .3) {
+            const p = emitParticle(BitParticle, 700, this.globalX + viewRng.next() * SHIP_MODULE_WIDTH, this.globalY - (viewRng.next() * SHIP_MODULE_HEIGHT/2));
+            p.sprite = viewRng.pick(ConstructionView.BITS);
         }
     }
 }
-ConstructionModule.sprite = shipSpriteSheet.sprites.scaffolding;
-ConstructionModule.solid = false;
-ConstructionModule.BITS = [
+ConstructionView.sprite = shipSpriteSheet.sprites.scaffolding;
+ConstructionView.BITS = [
     shipSpriteSheet.sprites.bit_screw,
     shipSpriteSheet.sprites.bit_wood,
     shipSpriteSheet.sprites.bit_plate,
 ];
 
-class SailModule extends ShipModule {
-    get weight() {
-        return 1.5;
-    }
-
-    static canBuildAt(modX, modY) {
-        // TODO: this is just notional stuff for testing the logic, feel free to change how sails work
-
-        // cannot build at the root
-        if (modY == 0) {
-            return false;
-        }
-
-        // must be on top of a solid module
-        const moduleBelow = state.ship.getModule(modX, modY-1);
-        return moduleBelow && moduleBelow.solid;
-    }
-
-    getStats() {
-        return {
-            speed: this.percentSubmerged < .5 ? 1 : 0,
-        }
-    }
-}
-SailModule.sprite = shipSpriteSheet.sprites.sail;
-SailModule.moduleName = 'Sail';
-SailModule.description = 'Makes you go';
-SailModule.solid = false;
-
-class BoilerModule extends ShipModule {
-    constructor(ship, x, y) {
-        super(ship, x, y);
-        this.hasSmokeStack = null;
-    }
-
-    get weight() {
-        return 10;
-    }
-
-    get fragility() {
-        return this.hasSmokeStack ? .5 : 1;
-    }
-
-    static canBuildAt(modX, modY) { 
-        const moduleBelow = state.ship.getModule(modX, modY - 1);
-        return moduleBelow && moduleBelow.solid;
-    }
+class SailView extends ModuleView {}
+SailView.sprite = shipSpriteSheet.sprites.sail;
 
+class BoilerView extends ModuleView {
+    // black smoke when it's damaged or sputtering out for lack of coal
     get emissionsClass() {
-        return this.damageLevel == 'normal' ? BoilerSteamParticle : BoilerSmokeParticle;
+        const { module } = this;
+        return module.damageLevel == 'normal' && !module.isOutOfFuel ? BoilerSteamParticle : BoilerSmokeParticle;
     }
-        
+
     tick(timeSinceLastTick, now) {
-        if (this.percentSubmerged >= 1) {
+        const { module } = this;
+        if (module.percentSubmerged >= 1) {
             return;
         }
 
         super.tick(timeSinceLastTick, now);
-        
-        if (this.hasSmokeStack === null) {
-            const moduleAbove = state.ship.getModule(this.x, this.y + 1);
-            const moduleAboveType = moduleAbove && moduleAbove.constructor.name;
-            if (moduleAboveType != 'NullModule' && moduleAboveType != 'ConstructionModule') {
-                this.hasSmokeStack = moduleAbove.constructor.name == 'SmokeStackModule';
-            }
-        }
 
-        if (this.isGeneratingSteam && !this.hasSmokeStack && Math.random() < timeSinceLastTick / 200) {
+        const isEmitting = module.isGeneratingSteam || module.isOutOfFuel;
+        if (isEmitting && !module.hasSmokeStack && viewRng.next() < timeSinceLastTick / 200) {
             emitParticle(this.emissionsClass, 1000, this.globalX + 30, this.globalY - (SHIP_MODULE_HEIGHT));
         }
     }
 
     onBreak() {
-        sound.play('boiler-break');
-    }
-
-    get isGeneratingSteam() {
-        if (this.percentSubmerged > .5)
-            return false;
-
-        return this.damageLevel != 'broken';
+        sound.play('boiler-break');
     }
 
     render() {
         super.render();
 
         // TODO: show damaged state
-        if (this.isGeneratingSteam) {
+        if (this.module.isGeneratingSteam) {
             let bob = getWaterBob(0, 0.5, 32);
-            BoilerModule.sprite.draw(ctx, 0, -SHIP_MODULE_HEIGHT + bob);
-            BoilerModule.windowSprite.draw(ctx, 0, -SHIP_MODULE_HEIGHT + bob);
+            BoilerView.sprite.draw(ctx, 0, -SHIP_MODULE_HEIGHT + bob);
+            BoilerView.windowSprite.draw(ctx, 0, -SHIP_MODULE_HEIGHT + bob);
         }
     }
-}
-BoilerModule.sprite = shipSpriteSheet.sprites.boiler;
-BoilerModule.windowSprite = shipSpriteSheet.sprites.boiler_lit_window;
-BoilerModule.moduleName = 'Boiler';
-BoilerModule.description = 'Provides steam for propellors and balloons';
-
-class PropellerModule extends ShipModule {
-    constructor(ship, x, y) {
-        super(ship, x, y);
-        this.blurSprite = new AnimatedSpriteController(PropellerModule.blurSprites, performance.now());
-    }
 
-    get weight() {
-        return 2;
-    }
-
-    static canBuildAt(modX, modY) {
-        const moduleLeft = state.ship.getModule(modX - 1, modY);
-        return moduleLeft && moduleLeft.constructor.name == 'BoilerModule';
+    renderLate() {
+        if (this.module.isGeneratingSteam) {
+            drawGlow(SHIP_MODULE_WIDTH / 2, -SHIP_MODULE_HEIGHT / 2, SHIP_MODULE_WIDTH);
+        }
     }
+}
+BoilerView.sprite = shipSpriteSheet.sprites.boiler;
 
-    get isSpinning() {
-        const boilerModule = state.ship.getModule(this.x - 1, this.y);
-        return boilerModule && boilerModule.isGeneratingSteam;
-    }
+BoilerView.windowSprite = shipSpriteSheet.sprites.boiler_lit_window;
 
-    getStats() {
-        return {
-            speed: this.isSpinning ? 5 : 0,
-        }
+class PropellerView extends ModuleView {
+    constructor(shipView, module) {
+        super(shipView, module);
+        this.blurSprite = new AnimatedSpriteController(PropellerView.blurSprites, performance.now());
     }
 
     render() {
         super.render();
-        if (this.isSpinning) {
+        if (this.module.isSpinning) {
             this.blurSprite.draw(ctx, 0, -SHIP_MODULE_HEIGHT);
         }
     }
 
     tick(timeSinceLastTick) {
-        if (this.isSpinning && Math.random() < timeSinceLastTick / 200) {
-            emitParticle(WindParticle, 1000, this.globalX - 80, this.globalY - (SHIP_MODULE_HEIGHT * 1.5 * Math.random()) - 30);
+        if (this.module.isSpinning && viewRng.next() < timeSinceLastTick / 200) {
+            emitParticle(WindParticle, 1000, this.globalX - 80, this.globalY - (SHIP_MODULE_HEIGHT * 1.5 * viewRng.next()) - 30);
         }
     }
 }
-PropellerModule.sprite = shipSpriteSheet.sprites.propeller;
-PropellerModule.moduleName = 'Propellor';
-PropellerModule.description = 'Makes you go <i>fast</i>. Must be attached to a functioning boiler';
-PropellerModule.solid = false;
-
-PropellerModule.blurSprites = [
+PropellerView.sprite = shipSpriteSheet.sprites.propeller;
+PropellerView.blurSprites = [
     shipSpriteSheet.sprites.propeller_blur_1,
     shipSpriteSheet.sprites.propeller_blur_2,
 ];
 
-class BalloonModule extends ShipModule {
-    get isInflated() {
-        const moduleBelow = this.ship.getModule(this.x, this.y - 1);
-        return moduleBelow.isGeneratingSteam;
+class BalloonView extends ModuleView {
+    render() {
+        BalloonView.baseSprite.draw(ctx, 0, -SHIP_MODULE_HEIGHT);
     }
 
-    get weight() {
-        return this.isInflated ? -10 : 1;
+    renderLate() {
+        const inflationOffset = this.module.isInflated ? getWaterBob(0, 3, 400) : 48;
+        BalloonView.sprite.draw(ctx, 0, -SHIP_MODULE_HEIGHT + inflationOffset);
     }
+}
+BalloonView.sprite = shipSpriteSheet.sprites.balloon_top;
+BalloonView.baseSprite = shipSpriteSheet.sprites.balloon_base;
 
-    static canBuildAt(modX, modY) {
-        const moduleBelow = state.ship.getModule(modX, modY - 1);
-        return moduleBelow && moduleBelow.constructor.name == 'BoilerModule';
-    }
+class FinSailView extends ModuleView {}
+FinSailView.sprite = shipSpriteSheet.sprites.fin_sail;
 
-    render() {
-        BalloonModule.baseSprite.draw(ctx, 0, -SHIP_MODULE_HEIGHT);
-    }
-    
-    renderLate() {
-        const inflationOffset = this.isInflated ? getWaterBob(0, 3, 400) : 48;
-        BalloonModule.sprite.draw(ctx, 0, -SHIP_MODULE_HEIGHT + inflationOffset);
+class CastleView extends ModuleView {}
+CastleView.sprite = shipSpriteSheet.sprites.castle;
+
+class SmokeStackView extends ModuleView {
+    tick(timeSinceLastTick) {
+        super.tick(timeSinceLastTick);
+
+        const { boiler } = this.module;
+        const isEmitting = boiler && (boiler.isGeneratingSteam || boiler.isOutOfFuel);
+        if (isEmitting && viewRng.next() < timeSinceLastTick / 200) {
+            const { emissionsClass } = this.shipView.getView(boiler);
+            emitParticle(emissionsClass, 1000, this.globalX + 30, this.globalY - (SHIP_MODULE_HEIGHT * 2));
+        }
     }
 }
-BalloonModule.sprite = shipSpriteSheet.sprites.balloon_top;
-BalloonModule.baseSprite = shipSpriteSheet.sprites.balloon_base;
-BalloonModule.moduleName = 'Balloon';
-BalloonModule.description = 'Makes you go <i>up</i>. Must be attached to a functioning boiler'
-BalloonModule.solid = false;
+SmokeStackView.sprite = shipSpriteSheet.sprites.smoke_stack;
+
+// The menus' icon for a view that draws itself instead of using a sprite: `draw` gets a
+// context set up like render()'s, from the bottom left corner of the module.
+function drawnModuleSprite(draw) {
+    return new DrawnSprite(SHIP_MODULE_WIDTH, SHIP_MODULE_HEIGHT, iconCtx => {
+        iconCtx.translate(0, SHIP_MODULE_HEIGHT);
+        draw(iconCtx);
+    });
+}
 
-class FinSailModule extends ShipModule {
-    get weight() {
-        return 2.5;
+class LanternView extends ModuleView {
+    render() {
+        LanternView.drawLantern(ctx, getWaterBob(0, 4, 300), this.module.isLit);
     }
 
-    static canBuildAt(modX, modY) {
-        const moduleRight = state.ship.getModule(modX + 1, modY);
-        return moduleRight && moduleRight.solid;
+    static drawLantern(ctx, swing, isLit) {
+        const x = SHIP_MODULE_WIDTH / 2 + swing;
+        const y = -SHIP_MODULE_HEIGHT / 2;
+
+        ctx.strokeStyle = '#242738';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.moveTo(SHIP_MODULE_WIDTH / 2, -SHIP_MODULE_HEIGHT + 8);
+        ctx.lineTo(x, y - 20);
+        ctx.stroke();
+
+        ctx.fillStyle = '#242738';
+        ctx.fillRect(x - 14, y - 20, 28, 40);
+        ctx.fillStyle = isLit ? 'gold' : 'dimgray';
+        ctx.fillRect(x - 9, y - 14, 18, 28);
     }
 
-    getStats() {
-        return {
-            speed: this.percentSubmerged < .5 ? .5 : 0,
+    renderLate() {
+        if (this.module.isLit) {
+            drawGlow(SHIP_MODULE_WIDTH / 2, -SHIP_MODULE_HEIGHT / 2, SHIP_MODULE_WIDTH * 1.5);
         }
     }
 }
-FinSailModule.sprite = shipSpriteSheet.sprites.fin_sail;
-FinSailModule.solid = false;
-FinSailModule.moduleName = 'Fin sail';
-FinSailModule.description = 'Makes you go';
+LanternView.sprite = drawnModuleSprite(iconCtx => LanternView.drawLantern(iconCtx, 0, true));
+
+class CannonView extends ModuleView {
+    render() {
+        CannonView.drawCannon(ctx, this.module.isPowered);
+    }
 
-class CastleModule extends ShipModule {
-    get weight() { return 20; }
+    static drawCannon(ctx, isPowered) {
+        // carriage
+        ctx.fillStyle = '#5c3a1e';
+        ctx.fillRect(24, -40, 64, 28);
+        ctx.fillStyle = '#242738';
+        ctx.beginPath();
+        ctx.arc(36, -12, 12, 0, Math.PI * 2);
+        ctx.arc(76, -12, 12, 0, Math.PI * 2);
+        ctx.fill();
 
-    static canBuildAt(modX, modY) {
-        const mod = state.ship.getModule(modX, modY - 1);
-        return mod && mod.solid;
+        // barrel, run out when there's steam to fire it
+        ctx.fillStyle = isPowered ? '#3b3f52' : 'dimgray';
+        ctx.fillRect(isPowered ? 40 : 24, -64, 84, 26);
     }
 }
-CastleModule.sprite = shipSpriteSheet.sprites.castle;
-CastleModule.moduleName = 'Castle';
-CastleModule.description = 'Reinforces adjacent hulls (and looks really cool)';
+CannonView.sprite = drawnModuleSprite(iconCtx => CannonView.drawCannon(iconCtx, true));
 
-class SmokeStackModule extends ShipModule {    
-    static canBuildAt(modX, modY) {
-        const mod = state.ship.getModule(modX, modY - 1, BoilerModule);
-        return mod && mod.solid;
-    }
-    
-    constructor(ship, x, y) {
-        super(ship, x, y);
-        this.boiler = ship.getModule(x, y-1);
+class PumpView extends ModuleView {
+    tick(timeSinceLastTick) {
+        super.tick(timeSinceLastTick);
+
+        // water thrown over the side
+        const { module } = this;
+        if (module.isPumping && module.adjacentModules.some(m => m.floodAmount > 0) && viewRng.next() < timeSinceLastTick / 150) {
+            emitParticle(SprayParticle, 600, this.globalX + SHIP_MODULE_WIDTH / 2, this.globalY - SHIP_MODULE_HEIGHT);
+        }
     }
 
-    get weight() { return 8; }
+    render() {
+        // a frame to work the bucket from
+        ctx.strokeStyle = '#5c3a1e';
+        ctx.lineWidth = 8;
+        ctx.beginPath();
+        ctx.moveTo(20, 0);
+        ctx.lineTo(20, -SHIP_MODULE_HEIGHT + 12);
+        ctx.lineTo(SHIP_MODULE_WIDTH - 20, -SHIP_MODULE_HEIGHT + 12);
+        ctx.lineTo(SHIP_MODULE_WIDTH - 20, 0);
+        ctx.stroke();
+
+        const bob = this.module.isPumping ? getWaterBob(0, 8, 100) : 0;
+        PumpView.sprite.draw(ctx, SHIP_MODULE_WIDTH / 2, -SHIP_MODULE_HEIGHT / 2 + bob);
+    }
+}
+PumpView.sprite = shipSpriteSheet.sprites.bucket_icon;
 
-    tick(timeSinceLastTick) {
-        super.tick();
+class CargoHoldView extends ModuleView {
+    render() {
+        CargoHoldView.drawHold(ctx, state.fuel / state.fuelCapacity);
+    }
 
-        if (this.boiler && this.boiler.isGeneratingSteam && Math.random() < timeSinceLastTick / 200) {
-            emitParticle(this.boiler.emissionsClass, 1000, this.globalX + 30, this.globalY - (SHIP_MODULE_HEIGHT * 2));
-        }
+    // an open crate, heaped as full as the ship's coal stock
+    static drawHold(ctx, fill) {
+        ctx.fillStyle = '#8b5a2b';
+        ctx.fillRect(12, -96, 104, 96);
+        ctx.fillStyle = '#242738';
+        ctx.fillRect(20, -8 - 80 * fill, 88, 80 * fill);
+        ctx.strokeStyle = '#5c3a1e';
+        ctx.lineWidth = 6;
+        ctx.strokeRect(12, -96, 104, 96);
     }
 }
-SmokeStackModule.sprite = shipSpriteSheet.sprites.smoke_stack;
-SmokeStackModule.moduleName = 'Smoke Stack';
-SmokeStackModule.description = 'Makes boilers more resilient';
-SmokeStackModule.solid = false;
+CargoHoldView.sprite = drawnModuleSprite(iconCtx => CargoHoldView.drawHold(iconCtx, 1));
 
-const moduleTypes = [HullModule, SailModule, BoilerModule, PropellerModule, FinSailModule, BalloonModule, CastleModule, SmokeStackModule];
+class PipeView extends ModuleView {
+    render() {
+        const { module } = this;
+        const links = module.steamLinks.map(other => [other.x - module.x, other.y - module.y]);
+        PipeView.drawPipe(ctx, links, module.damageLevel == 'broken');
+    }
+
+    // a run of pipe out towards each [x, y] grid offset it's linked to
+    static drawPipe(ctx, links, isBroken) {
+        const centreX = SHIP_MODULE_WIDTH / 2;
+        const centreY = -SHIP_MODULE_HEIGHT / 2;
+
+        ctx.strokeStyle = isBroken ? 'dimgray' : '#b87333';
+        ctx.lineWidth = 16;
+        ctx.beginPath();
+        for (const [x, y] of links) {
+            ctx.moveTo(centreX, centreY);
+            ctx.lineTo(centreX + x * SHIP_MODULE_WIDTH / 2, centreY - y * SHIP_MODULE_HEIGHT / 2);
+        }
+        ctx.stroke();
 
-class Ship extends Entity {
-    constructor() {
+        ctx.fillStyle = '#3b3f52';
+        ctx.beginPath();
+        ctx.arc(centreX, centreY, 14, 0, Math.PI * 2);
+        ctx.fill();
+    }
+}
+PipeView.sprite = drawnModuleSprite(iconCtx => PipeView.drawPipe(iconCtx, [[-1, 0], [1, 0], [0, 1]], false));
+
+const moduleViews = new Map([
+    [NullModule, NullView],
+    [ConstructionModule, ConstructionView],
+    [HullModule, HullView],
+    [SailModule, SailView],
+    [BoilerModule, BoilerView],
+    [PropellerModule, PropellerView],
+    [FinSailModule, FinSailView],
+    [BalloonModule, BalloonView],
+    [CastleModule, CastleView],
+    [SmokeStackModule, SmokeStackView],
+    [PumpModule, PumpView],
+    [LanternModule, LanternView],
+    [CannonModule, CannonView],
+    [PipeModule, PipeView],
+    [CargoHoldModule, CargoHoldView],
+]);
+
+class ShipView extends Entity {
+    constructor(ship) {
         super();
-        this.columns = 5;
-        this.rows = 1;
         this.zIndex = 10;
-        this.modules = [];
-        const ship = this;
+        this.inWorld = true;
+        this.ship = ship;
+        this.views = new WeakMap();
         this.box = {
             // position is anchored to the bottom left corner of the ship
             x: SHIP_MODULE_WIDTH / 2,
@@ -979,36 +1672,154 @@ class Ship extends Entity {
             get width() { return ship.columns * SHIP_MODULE_WIDTH },
             get height() { return ship.modules.length * SHIP_MODULE_HEIGHT },
         }
+
+        ship.state.on('moduleAdded', module => {
+            const view = this.getView(module);
+            for (let i = 0; i < 5; i++) {
+                emitParticle(SteamParticle, 1000, view.globalX + (i/5 * SHIP_MODULE_WIDTH), view.globalY);
+            }
+        });
+        ship.state.on('moduleRemoved', module => {
+            const view = this.getView(module);
+            for (let i = 0; i < 8; i++) {
+                const p = emitParticle(BitParticle, 700, view.globalX + viewRng.next() * SHIP_MODULE_WIDTH, view.globalY - (viewRng.next() * SHIP_MODULE_HEIGHT));
+                p.sprite = viewRng.pick(ConstructionView.BITS);
+            }
+        });
+        ship.state.on('moduleDetached', module => {
+            const view = this.getView(module);
+            const p = emitParticle(FallingModuleParticle, 1500, view.globalX, view.globalY - SHIP_MODULE_HEIGHT);
+            p.sprite = view.sprite || view.constructor.sprite;
+            for (let i = 0; i < 5; i++) {
+                const p = emitParticle(BitParticle, 700, view.globalX + viewRng.next() * SHIP_MODULE_WIDTH, view.globalY - (viewRng.next() * SHIP_MODULE_HEIGHT));
+                p.sprite = viewRng.pick(ConstructionView.BITS);
+            }
+            sound.play('breaking');
+        });
+        ship.state.on('startDemolish', () => sound.play('breaking'));
+        ship.state.on('startUpgrade', () => sound.play('building'));
+        ship.state.on('moduleUpgraded', module => {
+            const view = this.getView(module);
+            for (let i = 0; i < 5; i++) {
+                emitParticle(SteamParticle, 1000, view.globalX + (i/5 * SHIP_MODULE_WIDTH), view.globalY);
+            }
+            view.updateDisplay();
+        });
+        ship.state.on('moduleUpdated', module => this.getView(module).updateDisplay());
+        ship.state.on('moduleUnlocked', () => this.updateAllViews());
+        ship.state.on('shipWidened', side => {
+            // everything moved a column right in the grid, so move the grid left to keep it still
+            if (side == 'left') this.box.x -= SHIP_MODULE_WIDTH;
+            this.updateAllViews();
+        });
+        ship.state.on('damage', module => this.getView(module).onDamage());
+        ship.state.on('break', module => this.getView(module).onBreak());
+        ship.state.on('startFix', module => this.getView(module).onStartFix());
+        ship.state.on('startBail', module => this.getView(module).onStartBail());
+        ship.state.on('crewLost', member => {
+            const { x, y } = this.crewPosition(member);
+            for (let i = 0; i < 6; i++) {
+                const p = emitParticle(BitParticle, 700, x, y - viewRng.next() * 30);
+                p.sprite = shipSpriteSheet.sprites.bit_bubble;
+            }
+            sound.play('cancel');
+            const p = emitParticle(TextParticle, 2000, x, y - SHIP_MODULE_HEIGHT / 2);
+            p.text = 'Crew member lost!';
+        });
+        ship.state.on('fixed', module => this.getView(module).onFixed());
+        ship.state.on('outOfFuel', () => {
+            for (const module of ship.modules.flat()) {
+                if (module instanceof BoilerModule) this.getView(module).showMessage('Out of coal!');
+            }
+        });
+    }
+
+    updateAllViews() {
+        for (const row of this.ship.modules) {
+            for (const module of row) {
+                this.getView(module).updateDisplay();
+            }
+        }
+    }
+
+    // where a crew member's feet are on screen
+    crewPosition(member) {
+        const { x, y } = member.position;
+        const index = state.crew.indexOf(member);
+        return {
+            x: this.box.x + x * SHIP_MODULE_WIDTH + 36 + (Math.max(0, index) % 3) * 28,
+            y: this.box.y - y * SHIP_MODULE_HEIGHT - 4,
+        };
+    }
+
+    getView(module) {
+        let view = this.views.get(module);
+        if (!view) {
+            const ViewClass = moduleViews.get(module.constructor);
+            view = new ViewClass(this, module);
+            this.views.set(module, view);
+        }
+        return view;
     }
 
     tick(timeSinceLastTick, now) {
-        for (const [modY, row] of this.modules.entries()) {
+        for (const row of this.ship.modules) {
             for (const module of row) {
                 if (module) {
-                    module.tick(timeSinceLastTick, now);
+                    this.getView(module).tick(timeSinceLastTick, now);
                 }
             }
         }
     }
 
+    // where the ship rolls about: the middle of the grid, on the water line
+    get heelPivot() {
+        return {
+            x: this.box.x + this.ship.columns / 2 * SHIP_MODULE_WIDTH,
+            y: CANVAS_HEIGHT - currentWaterHeight,
+        };
+    }
+
+    applyHeel() {
+        const pivot = this.heelPivot;
+        ctx.translate(pivot.x, pivot.y);
+        ctx.rotate(state.heel);
+        ctx.translate(-pivot.x, -pivot.y);
+    }
+
+    // a point on screen, rolled back upright to line up with the grid
+    unheel(x, y) {
+        const pivot = this.heelPivot;
+        const cos = Math.cos(-state.heel);
+        const sin = Math.sin(-state.heel);
+        const dx = x - pivot.x;
+        const dy = y - pivot.y;
+        return {
+            x: pivot.x + dx * cos - dy * sin,
+            y: pivot.y + dx * sin + dy * cos,
+        };
+    }
+
     render(now) {
         ctx.save();
         ctx.translate(0, getWaterBob(250, 3));
+        this.applyHeel();
 
-        const { box } = this;
+        const { box, ship } = this;
 
-        let y = this.rows;
+        let y = ship.rows;
         while (y-->0) {
-            const row = this.modules[y];
-            for (let x = 0; x < this.columns; x++) {
+            const row = ship.modules[y];
+            for (let x = 0; x < ship.columns; x++) {
                 const translateX = box.x + (x * SHIP_MODULE_WIDTH);
                 const translateY = box.y + (y * -SHIP_MODULE_HEIGHT);
 
                 ctx.translate(translateX, translateY);
-                
+
                 const module = row ? row[x] : null;
                 if (module) {
-                    module.render(now);
+                    this.getView(module).render(now);
+                    if (module.level > 1) drawLevelBadge(module.level);
                 }
                 if (state.debug) {
                     ctx.font = `24pt ${FONT_STACK}`;
@@ -1019,18 +1830,39 @@ class Ship extends Entity {
             }
         }
 
-        y = this.rows;
+        state.crew.forEach((member, i) => {
+            const { x, y } = this.crewPosition(member);
+            const bob = member.isWorking ? getWaterBob(i * 100, 4, 60) : 0;
+            drawCrewMember(x, y + bob);
+        });
+
+        // anything away from a light falls into shadow at night
+        const nightness = 1 - state.daylight;
+        if (nightness > 0) {
+            for (let y = 0; y < ship.rows; y++) {
+                for (let x = 0; x < ship.columns; x++) {
+                    const module = ship.getModule(x, y);
+                    if (!module || module instanceof NullModule) continue;
+
+                    ctx.fillStyle = `rgba(${NIGHT_TINT.join(', ')}, ${nightness * .6 * (1 - ship.lightAt(x, y))})`;
+                    ctx.fillRect(box.x + x * SHIP_MODULE_WIDTH, box.y - (y + 1) * SHIP_MODULE_HEIGHT, SHIP_MODULE_WIDTH, SHIP_MODULE_HEIGHT);
+                }
+            }
+        }
+
+        y = ship.rows;
         while (y-->0) {
-            const row = this.modules[y];
+            const row = ship.modules[y];
             if (!row) continue;
-            for (let x = 0; x < this.columns; x++) {
-                const shipModule = row[x];
-                if (!shipModule || !shipModule.renderLate) continue;
+            for (let x = 0; x < ship.columns; x++) {
+                if (!row[x]) continue;
+                const moduleView = this.getView(row[x]);
+                if (!moduleView.renderLate) continue;
 
-                const { globalX, globalY } = shipModule;
+                const { globalX, globalY } = moduleView;
                 ctx.translate(globalX, globalY);
-                
-                shipModule.renderLate();
+
+                moduleView.renderLate();
                 ctx.translate(-globalX, -globalY);
             }
         }
@@ -1038,111 +1870,89 @@ class Ship extends Entity {
         ctx.restore();
     }
 
-    checkClick(mouseX, mouseY) {
+    checkClick(screenX, screenY) {
         if (!state.gameRunning) return;
         const { x, y } = this.box;
+        const { ship } = this;
+        const { x: mouseX, y: mouseY } = this.unheel(screenX, screenY);
 
         const moduleBox = { x: 0, y: 0, width: SHIP_MODULE_WIDTH, height: SHIP_MODULE_HEIGHT };
 
-        for (let modY = 0; modY < this.rows; modY++) {
-            const row = this.modules[modY];
+        for (let modY = 0; modY < ship.rows; modY++) {
+            const row = ship.modules[modY];
 
-            // can't click on stuff that's underwater
-            if ((modY+1) * SHIP_MODULE_HEIGHT < state.shipDraught) {
-                continue;
-            }
+            for (let modX = 0; modX < ship.columns; modX++) {
+                // can't click on stuff that's underwater
+                if ((modY+1) * SHIP_MODULE_HEIGHT < ship.draughtAt(modX)) {
+                    continue;
+                }
 
-            for (let modX = 0; modX < this.columns; modX++) {
                 moduleBox.x = x + (modX * SHIP_MODULE_WIDTH);
                 moduleBox.y = y + ((modY + 1) * -SHIP_MODULE_HEIGHT);
 
                 if (isPointInBox(mouseX, mouseY, moduleBox)) {
                     const module = row ? row[modX] : null;
-                    return module;
-                }
-            }
-        }
-    }
-
-    getStats() {
-        const stats = {weight: 0};
-        for (const [modY, row] of this.modules.entries()) {
-
-            for (const [modX, module] of row.entries()) {
-                stats.weight += module.weight;
-                const moduleStats = module.getStats();
-                for (const key in moduleStats) {
-                    stats[key] = (stats[key] || 0) + moduleStats[key];
+                    return module && this.getView(module);
                 }
             }
         }
-        return stats;
     }
+}
 
-    canBuildModule(x, y, ModuleClass) {
-        if (ModuleClass.solid && (x === 0 || x === this.columns - 1)) {
-            return false;
-        }
-        const res =  ModuleClass.canBuildAt(x, y);
-        return res;
+// Pulls back to keep the whole ship and the water line in view as the ship grows.
+// The bottom of the screen stays anchored to the bottom of the world.
+class Camera extends Entity {
+    constructor(shipView) {
+        super();
+        this.shipView = shipView;
+        this.zoom = 1;
+        this.left = 0;
     }
 
-    addModule(x, y, ModuleClass) {
-        if (y + 1 >= this.rows) this.rows = y + 2;
-
-        for (let yOffset = 0; yOffset < 2; yOffset++) {
-            if (!this.modules[y+yOffset]) {
-                const newRow = [];
-                for (let i = 0; i<this.columns; i++) {
-                    newRow.push(new NullModule(this, i, y+yOffset));
-                }
-                this.modules[y+yOffset] = newRow;
-            }
-        }
-
-        const newModule = new ModuleClass(this, x, y);
-        this.modules[y][x] = newModule;
+    get width() { return CANVAS_WIDTH / this.zoom; }
+    get height() { return CANVAS_HEIGHT / this.zoom; }
+    get right() { return this.left + this.width; }
+    get top() { return CANVAS_HEIGHT - this.height; }
 
-        this.updateModule(x - 1, y);
-        this.updateModule(x + 1, y);
-        this.updateModule(x, y - 1);
-        this.updateModule(x, y + 1);
-
-        const { globalX, globalY } = newModule;
-        for (let i = 0; i < 5; i++) {   
-            emitParticle(SteamParticle, 1000, newModule.globalX + (i/5 * SHIP_MODULE_WIDTH), newModule.globalY);
-        }
+    // the view that fits the ship, leaving room ahead of it for whatever's coming
+    get target() {
+        const { box } = this.shipView;
+        const left = Math.min(0, box.x - SHIP_MODULE_WIDTH / 2);
+        const right = Math.max(CANVAS_WIDTH, box.x + box.width + Camera.LOOKAHEAD);
+        const top = Math.min(0, box.y - box.height - Camera.HEADROOM);
+        const zoom = Math.min(1, CANVAS_WIDTH / (right - left), CANVAS_HEIGHT / (CANVAS_HEIGHT - top));
+        return { left, zoom };
     }
 
-    updateModule(x, y) {
-        const module = this.getModule(x, y);
-        if (module) module.updateDisplay();
+    tick(timeSinceLastTick) {
+        const { left, zoom } = this.target;
+        const ease = Math.min(1, timeSinceLastTick / Camera.EASE_TIME);
+        this.left += (left - this.left) * ease;
+        this.zoom += (zoom - this.zoom) * ease;
     }
 
-    get moduleCount() {
-        let moduleCount = 0;
-        for (const row of this.modules) {
-            for (const module of row) {
-                if (module.constructor.name != 'NullModule') {
-                    moduleCount += 1;
-                }
-            }
-        }
-        return moduleCount;
+    apply() {
+        ctx.translate(0, CANVAS_HEIGHT);
+        ctx.scale(this.zoom, this.zoom);
+        ctx.translate(-this.left, -CANVAS_HEIGHT);
     }
 
-    getModule(x, y, ModuleClass = undefined) {
-        if (!this.modules[y]) return;
-        const module = this.modules[y][x];
-        if (ModuleClass && !(module instanceof ModuleClass)) return;
-        return module;
+    toWorld(x, y) {
+        return {
+            x: this.left + x / this.zoom,
+            y: CANVAS_HEIGHT + (y - CANVAS_HEIGHT) / this.zoom,
+        };
     }
 }
+Camera.LOOKAHEAD = 320;
+Camera.HEADROOM = SHIP_MODULE_HEIGHT / 2;
+Camera.EASE_TIME = 400;
 
 class Water extends Entity {
     constructor(height, alpha, parallaxSpeed, x_offset) {
         super();
         this.zIndex = 1;
+        this.inWorld = true;
         this.height = height;
         this.alpha = alpha;
         this.parallaxSpeed = parallaxSpeed;
@@ -1152,16 +1962,194 @@ class Water extends Entity {
     render(now) {
         ctx.globalAlpha = this.alpha;
         const yPosition = CANVAS_HEIGHT - this.height - 75 - currentWaterHeight + getWaterBob();
-        drawParallax(images.wavesImg, this.parallaxSpeed, this.x_offset, yPosition);
+        drawParallax(images.wavesImg, this.parallaxSpeed, this.x_offset, yPosition, camera.left, camera.width);
         const imgHeight = images.wavesImg.height;
         if (yPosition + imgHeight < CANVAS_HEIGHT) {
             ctx.fillStyle = '#96b3d1';
-            ctx.fillRect(0, Math.max(0, yPosition + imgHeight), CANVAS_WIDTH, CANVAS_HEIGHT);
+            ctx.fillRect(camera.left, Math.max(camera.top, yPosition + imgHeight), camera.width, CANVAS_HEIGHT);
         }
         ctx.globalAlpha = 1;
     }
 }
 
+// Everything worth knowing about the module under the mouse
+class InspectPanel extends Entity {
+    constructor(shipView) {
+        super();
+        this.zIndex = 250;
+        this.shipView = shipView;
+    }
+
+    get module() {
+        const view = state.hoveredEntity;
+        if (!(view instanceof ModuleView) || !view.alive) return null;
+
+        const { module } = view;
+        if (module instanceof NullModule || module instanceof ConstructionModule) return null;
+        return module;
+    }
+
+    lines(module) {
+        const lines = [
+            `Weight: ${module.weight.toFixed(1)}`,
+        ];
+
+        const stats = module.getStats();
+        for (const key in stats) {
+            lines.push(`${key[0].toUpperCase()}${key.slice(1)}: ${stats[key] >= 0 ? '+' : ''}${stats[key].toFixed(1)}`);
+        }
+
+        lines.push(`Health: ${(module.health - module.damage).toFixed(1)}/${module.health} (${module.damageLevel})`);
+        lines.push(`Fragility: ${module.fragility.toFixed(2)}`);
+        lines.push(`Submerged: ${Math.round(module.percentSubmerged * 100)}%`);
+        if (module.carriesSteam || module.steamLinks.length) {
+            lines.push(`Steam pressure: ${Math.round(module.steamPressure * 100)}%`);
+        }
+
+        if (module instanceof HullModule) {
+            lines.push(`Flooded: ${Math.round(module.floodAmount / module.buoyancy * 100)}%`);
+        }
+
+        const connected = module.connectedModules;
+        if (connected.length) {
+            lines.push('Connected to:');
+            for (const other of connected) {
+                lines.push(`  ${other.constructor.moduleName} at ${other.x},${other.y}`);
+            }
+        } else if (module instanceof BoilerModule || module instanceof PropellerModule) {
+            lines.push('Not connected to anything');
+        }
+
+        return lines;
+    }
+
+    render() {
+        if (!this.shipView.updating || !state.gameRunning) return;
+
+        const { module } = this;
+        if (!module) return;
+
+        const title = `${module.constructor.moduleName} (level ${module.level})`;
+        const lines = this.lines(module);
+        const lineHeight = 22;
+        const x = 15;
+        const y = 90;
+
+        ctx.fillStyle = 'rgba(255, 248, 220, .85)';
+        ctx.fillRect(x, y, 260, 40 + lines.length * lineHeight);
+
+        ctx.fillStyle = '#242738';
+        ctx.font = `bold 20px ${FONT_STACK}`;
+        ctx.fillText(title, x + 10, y + 28);
+        ctx.font = `16px ${FONT_STACK}`;
+        lines.forEach((line, i) => ctx.fillText(line, x + 10, y + 52 + i * lineHeight));
+    }
+}
+
+// A gauge over everything on a steam network, showing how much of the steam it wants
+// it's getting
+class PressureOverlay extends Entity {
+    constructor(shipView) {
+        super();
+        this.zIndex = 210;
+        this.inWorld = true;
+        this.shipView = shipView;
+        this.visible = false;
+    }
+
+    render() {
+        const { shipView } = this;
+        const { ship } = shipView;
+        if (!shipView.updating || !state.gameRunning) return;
+
+        ctx.save();
+        shipView.applyHeel();
+        ctx.font = `bold 18px ${FONT_STACK}`;
+        ctx.textAlign = 'center';
+        for (const module of ship.modules.flat()) {
+            if (!module.carriesSteam && !module.steamLinks.length) continue;
+
+            const { globalX, globalY } = shipView.getView(module);
+            const x = globalX + SHIP_MODULE_WIDTH / 2;
+            const y = globalY - SHIP_MODULE_HEIGHT + 24;
+            ctx.fillStyle = mixColors(PressureOverlay.EMPTY, PressureOverlay.FULL, module.steamPressure);
+            ctx.fillRect(x - 32, y - 16, 64, 24);
+            ctx.fillStyle = 'white';
+            ctx.fillText(`${Math.round(module.steamPressure * 100)}%`, x, y + 2);
+        }
+        ctx.restore();
+    }
+}
+PressureOverlay.EMPTY = [178, 34, 34];
+PressureOverlay.FULL = [46, 139, 87];
+
+// Where the ship's weight, buoyancy and speed come from, and how long it has left
+class StatsOverlay extends Entity {
+    constructor(shipView) {
+        super();
+        this.zIndex = 250;
+        this.shipView = shipView;
+        // the panel sits over the ship, so it's only there when asked for
+        this.visible = false;
+    }
+
+    render() {
+        if (!this.shipView.updating || !state.gameRunning) return;
+
+        const x = 320;
+        const y = 10;
+
+        if (!this.visible) {
+            ctx.fillStyle = 'rgba(36, 39, 56, .6)';
+            ctx.font = `14px ${FONT_STACK}`;
+            ctx.fillText('Press S for ship stats', x + 10, y + 14);
+            return;
+        }
+
+        const stats = state.ship.getStats();
+        const byType = state.ship.getStatsByType();
+        const rate = state.sinkingRate;
+        const { timeToSink } = state;
+
+        const width = 400;
+        const lineHeight = 20;
+        const names = Object.keys(byType);
+        const columns = [x + 190, x + 260, x + 340];
+
+        ctx.fillStyle = 'rgba(255, 248, 220, .75)';
+        ctx.fillRect(x, y, width, 100 + (names.length + 1) * lineHeight);
+
+        ctx.fillStyle = rate > 0 ? 'firebrick' : '#242738';
+        ctx.font = `bold 18px ${FONT_STACK}`;
+        ctx.fillText(`Weight ${stats.weight.toFixed(1)} vs buoyancy ${(stats.buoyancy || 0).toFixed(1)}`, x + 10, y + 24);
+        ctx.font = `16px ${FONT_STACK}`;
+        ctx.fillText(`${rate > 0 ? 'Sinking' : 'Rising'} ${Math.abs(rate).toFixed(1)}/s, speed ${state.speed.toFixed(1)}`, x + 10, y + 46);
+        ctx.fillText(timeToSink == Infinity ? 'Holding steady' : `Sunk in ${Math.ceil(timeToSink)}s at this rate`, x + 10, y + 68);
+
+        // half way to rolling over is worth worrying about
+        const heel = Math.round(state.heel * 180 / Math.PI);
+        ctx.fillStyle = Math.abs(state.heel) > CAPSIZE_ANGLE / 2 ? 'firebrick' : '#242738';
+        ctx.fillText(heel == 0 ? 'Level' : `Heeling ${Math.abs(heel)}° ${heel > 0 ? 'right' : 'left'}`, x + 260, y + 68);
+
+        ctx.fillStyle = '#242738';
+        ctx.font = `bold 14px ${FONT_STACK}`;
+        let rowY = y + 96;
+        ['Weight', 'Buoyancy', 'Speed'].forEach((heading, i) => ctx.fillText(heading, columns[i], rowY));
+
+        ctx.font = `14px ${FONT_STACK}`;
+        for (const name of names) {
+            rowY += lineHeight;
+            const entry = byType[name];
+            ctx.fillText(`${name} ×${entry.count}`, x + 10, rowY);
+            [entry.weight, entry.buoyancy, entry.speed].forEach((value, i) => ctx.fillText(value.toFixed(1), columns[i], rowY));
+        }
+
+        rowY += lineHeight;
+        ctx.fillStyle = 'rgba(36, 39, 56, .6)';
+        ctx.fillText('Press S to hide', x + 10, rowY);
+    }
+}
+
 class DebugDisplay extends Entity {
     constructor() {
         super();
@@ -1179,6 +2167,7 @@ class DebugDisplay extends Entity {
             let val = state[key];
             if (typeof val === 'number') val = val.toFixed(2);
             if (typeof val === 'function') val = '<callback>';
+            if (val && typeof val === 'object') continue;
             const text = `${key} = ${val}`;
             const textMetrics = ctx.measureText(text);
             offsetY += Math.floor(textMetrics.actualBoundingBoxAscent);
@@ -1188,26 +2177,33 @@ class DebugDisplay extends Entity {
 }
 
 class ShipUI extends Entity {
-    constructor(ship) {
+    constructor(shipView) {
         super();
         this.zIndex = 200;
-        this.ship = ship;
+        this.inWorld = true;
+        this.shipView = shipView;
     }
 
     render() {
-        if (!this.ship.updating || !state.gameRunning) return;
-
-        for (let y = 0; y < this.ship.rows; y++) {
-            for (let x = 0; x < this.ship.columns; x++) {
-                const shipModule = this.ship.getModule(x, y);
-                if (shipModule && shipModule.icon) {
-                    const spriteX = shipModule.globalX + (SHIP_MODULE_WIDTH / 2);
-                    const spriteY = shipModule.globalY - (SHIP_MODULE_HEIGHT / 2)
+        const { shipView } = this;
+        const { ship } = shipView;
+        if (!shipView.updating || !state.gameRunning) return;
+
+        ctx.save();
+        shipView.applyHeel();
+        for (let y = 0; y < ship.rows; y++) {
+            for (let x = 0; x < ship.columns; x++) {
+                const shipModule = ship.getModule(x, y);
+                const moduleView = shipModule && shipView.getView(shipModule);
+                if (moduleView && moduleView.icon) {
+                    const spriteX = moduleView.globalX + (SHIP_MODULE_WIDTH / 2);
+                    const spriteY = moduleView.globalY - (SHIP_MODULE_HEIGHT / 2)
                     shipSpriteSheet.sprites.icon_bg.draw(ctx, spriteX, spriteY);
-                    shipModule.icon.draw(ctx, spriteX, spriteY);
+                    moduleView.icon.draw(ctx, spriteX, spriteY);
                 }
             }
         }
+        ctx.restore();
     }
 }
 
@@ -1225,6 +2221,7 @@ class Particle extends Entity {
         this.direction = cloneVector(VECTOR_UP);
         this.sprite = null;
         this.zIndex = 20;
+        this.inWorld = true;
         this.fade = 1;
         this.created = performance.now();
         this.liveUntil = liveUntil;
@@ -1269,7 +2266,7 @@ class BitParticle extends Particle {
         super(liveUntil, x, y);
         this.forceVector = scaleVector(cloneVector(VECTOR_DOWN), .5);
         this.direction = normalizeVector({
-            x: (Math.random() * 2) - 1,
+            x: (viewRng.next() * 2) - 1,
             y: -1,
         });
         this.speed = 5;
@@ -1277,13 +2274,27 @@ class BitParticle extends Particle {
     }
 }
 
+// a whole module tumbling off the ship into the sea
+class FallingModuleParticle extends Particle {
+    constructor(liveUntil, x, y) {
+        super(liveUntil, x, y);
+        this.zIndex = 11;
+        this.forceVector = scaleVector(cloneVector(VECTOR_DOWN), .3);
+        this.direction = normalizeVector({
+            x: (viewRng.next() * 2) - 1,
+            y: -.5,
+        });
+        this.speed = 4;
+    }
+}
+
 class SteamParticle extends Particle {
     constructor(liveUntil, x, y) {
         super(liveUntil, x, y);
         this.sprite = shipSpriteSheet.sprites.steam_puff;
         this.direction = normalizeVector({
-            x: (Math.random() * 2) - 1,
-            y: (Math.random() * 2) - 1,
+            x: (viewRng.next() * 2) - 1,
+            y: (viewRng.next() * 2) - 1,
         });
     }
 
@@ -1297,7 +2308,7 @@ class BoilerSteamParticle extends SteamParticle {
     constructor(liveUntil, x, y) {
         super(liveUntil, x, y);
         this.direction = normalizeVector({
-            x: (Math.random() * 2) - 1,
+            x: (viewRng.next() * 2) - 1,
             y: -1,
         });
     }
@@ -1317,12 +2328,39 @@ class SprayParticle extends Particle {
         this.forceVector = VECTOR_DOWN;
         this.speed = 5;
         this.direction = normalizeVector({
-            x: -Math.random(),
+            x: -viewRng.next(),
             y: -1,
         });
     }
 }
 
+class TextParticle extends Particle {
+    constructor(liveUntil, x, y) {
+        super(liveUntil, x, y);
+        this.text = '';
+        this.zIndex = 300;
+        this.speed = 1;
+        this.forceVector = null;
+    }
+
+    render(t) {
+        if (!this.alive || t > this.liveUntil) return;
+
+        const currentT = t - this.created;
+        const targetT = this.liveUntil - this.created;
+        ctx.globalAlpha = 1 - (currentT / targetT);
+        ctx.font = `bold 18pt ${FONT_STACK}`;
+        ctx.textAlign = 'center';
+        ctx.lineWidth = 4;
+        ctx.strokeStyle = 'white';
+        ctx.strokeText(this.text, this.x, this.y);
+        ctx.fillStyle = '#242738';
+        ctx.fillText(this.text, this.x, this.y);
+        ctx.textAlign = 'left';
+        ctx.globalAlpha = 1;
+    }
+}
+
 class WindParticle extends Particle {
     constructor(liveUntil, x, y) {
         super(liveUntil, x, y);
@@ -1363,7 +2401,6 @@ function tick() {
         }
         
         entities.length = livingEntities;
-        state.timeElapsed += timeSinceLastTick;
     }
 
     previousTick = now;
@@ -1371,16 +2408,26 @@ function tick() {
 
 let firstFrame;
 let previousFrame;
+let animationFrame;
 
 function render(now) {
     entities.sort((a, b) => a.zIndex - b.zIndex);
 
     for (let entity of entities) {
-        if (entity.visible) entity.render(now);
+        if (!entity.visible) continue;
+
+        if (entity.inWorld) {
+            ctx.save();
+            camera.apply();
+            entity.render(now);
+            ctx.restore();
+        } else {
+            entity.render(now);
+        }
     }
 
     previousFrame = now;
-    requestAnimationFrame(render);
+    animationFrame = requestAnimationFrame(render);
 }
 
 function bezier(t)
@@ -1395,6 +2442,9 @@ class TitleScreen extends Entity {
         this.canClickWhilePaused = true;
         this.fadeStart = 0;
         this.fadeUntil = 0;
+        this.savedVoyage = save.loadVoyage();
+        this.continueBox = null;
+        this.blueprintBox = null;
     }
 
     checkClick(x, y) { return this; }
@@ -1402,6 +2452,21 @@ class TitleScreen extends Entity {
     onClick(x, y) {
         if (this.fadeStart) return;
 
+        if (this.continueBox && isPointInBox(x, y, this.continueBox)) {
+            state.restore(this.savedVoyage);
+        } else if (this.blueprintBox && isPointInBox(x, y, this.blueprintBox)) {
+            const code = window.prompt('Paste a ship blueprint code');
+            if (!code) return;
+
+            try {
+                importBlueprint(state.ship, code);
+            } catch (e) {
+                sound.play('cancel');
+                window.alert(`Can't build that ship: ${e.message}`);
+                return;
+            }
+        }
+
         this.fadeStart = performance.now();
         this.fadeUntil = this.fadeStart + 500;
     }
@@ -1427,7 +2492,7 @@ class TitleScreen extends Entity {
             }
         }, interval * 1000);
 
-        state.ship.updating = true;
+        state.shipView.updating = true;
 
         entities.push(new DebugDisplay());
     }
@@ -1468,6 +2533,33 @@ class TitleScreen extends Entity {
         ctx.font = `24pt ${FONT_STACK}`;
         ctx.fillText('Click anywhere to start', CANVAS_WIDTH / 2, yPosition);
 
+        if (this.savedVoyage) {
+            const { distanceTraveled, timeAfloat } = this.savedVoyage;
+            yPosition += textMetrics.actualBoundingBoxAscent + 30;
+            ctx.font = `bold 24pt ${FONT_STACK}`;
+            text = `Continue voyage (${Math.floor(distanceTraveled)}m, ${Math.floor(timeAfloat / 1000)}s)`;
+            const continueMetrics = ctx.measureText(text);
+            ctx.fillText(text, CANVAS_WIDTH / 2, yPosition);
+            this.continueBox = {
+                x: CANVAS_WIDTH / 2 - continueMetrics.width / 2,
+                y: yPosition - continueMetrics.actualBoundingBoxAscent,
+                width: continueMetrics.width,
+                height: continueMetrics.actualBoundingBoxAscent + 15,
+            };
+        }
+
+        yPosition += textMetrics.actualBoundingBoxAscent + 30;
+        ctx.font = `italic 20pt ${FONT_STACK}`;
+        text = 'Start from a blueprint code';
+        const blueprintMetrics = ctx.measureText(text);
+        ctx.fillText(text, CANVAS_WIDTH / 2, yPosition);
+        this.blueprintBox = {
+            x: CANVAS_WIDTH / 2 - blueprintMetrics.width / 2,
+            y: yPosition - blueprintMetrics.actualBoundingBoxAscent,
+            width: blueprintMetrics.width,
+            height: blueprintMetrics.actualBoundingBoxAscent + 15,
+        };
+
         ctx.restore();
     }
 }
@@ -1479,8 +2571,8 @@ class Fish extends Entity {
 
         this.depth = CANVAS_HEIGHT + currentWaterHeight + Fish.sprite.height;
 
-        const direction = Math.random() < .5 ? -1 : 1; 
-        this.speed = direction * (2 * Math.random() + 2);
+        const direction = viewRng.next() < .5 ? -1 : 1; 
+        this.speed = direction * (2 * viewRng.next() + 2);
         this.x = direction < 0 ? CANVAS_WIDTH + Fish.sprite.width : -Fish.sprite.width;
     }
 
@@ -1514,7 +2606,7 @@ class Bubble extends Entity {
         
         this.zIndex = 2000;
         this.depth = CANVAS_HEIGHT + currentWaterHeight + Bubble.sprite.height;
-        this.x = Math.random() * CANVAS_WIDTH;
+        this.x = viewRng.next() * CANVAS_WIDTH;
     }
 
     tick(deltaT) {
@@ -1541,6 +2633,16 @@ class GameOverScreen extends Entity {
         this.fishCountdown = 2 * 1000;
         this.bubbleCountdown = 3 * 1000;
         state.cooldown = 0;
+
+        const { scores, rank } = highscores.recordScore({
+            date: new Date().toISOString(),
+            distance: Math.floor(state.distanceTraveled),
+            time: Math.floor(timeElapsed / 1000),
+            modules: state.ship.moduleCount,
+            blueprint: exportBlueprint(state.ship),
+        });
+        this.scores = scores;
+        this.rank = rank;
     }
 
     checkClick(x, y) { return this; }
@@ -1549,13 +2651,13 @@ class GameOverScreen extends Entity {
         this.fishCountdown -= deltaT;
         if (this.fishCountdown < 0) {
             entities.push(new Fish());
-            this.fishCountdown = Math.random() * 1000 * 2;
+            this.fishCountdown = viewRng.next() * 1000 * 2;
         }
 
         this.bubbleCountdown -= deltaT;
         if (this.bubbleCountdown < 0) {
             entities.push(new Bubble());
-            this.bubbleCountdown = Math.random() * 1000 * 2;
+            this.bubbleCountdown = viewRng.next() * 1000 * 2;
         }
     }
 
@@ -1594,53 +2696,131 @@ class GameOverScreen extends Entity {
         ctx.fillText(modulesText, leftEdge, yPos);
         yPos += modulesMetrics.actualBoundingBoxAscent + margin;
 
+        const seedText = `Seed: ${state.seed}`;
+        const seedMetrics = ctx.measureText(seedText);
+        ctx.fillText(seedText, leftEdge, yPos);
+        yPos += seedMetrics.actualBoundingBoxAscent + margin;
+
         yPos += margin * 4;
 
-        ctx.fillText('Click anywhere to try again', leftEdge, yPos);
+        ctx.fillText('Click anywhere for the voyage report', leftEdge, yPos);
+        yPos += margin * 5;
+
+        ctx.font = `italic 18pt ${FONT_STACK}`;
+        ctx.fillText('Press E for this ship\'s blueprint code', leftEdge, yPos);
+
+        this.renderScores();
+    }
+
+    renderScores() {
+        const left = 25;
+        const rowHeight = 30;
+        const columns = [left + 10, left + 50, left + 170, left + 260, left + 360];
+        let yPos = 100;
+
+        ctx.fillStyle = 'rgba(255, 255, 255, .6)';
+        ctx.fillRect(left, yPos - 45, 500, rowHeight * (this.scores.length + 2) + 20);
+
+        ctx.fillStyle = '#242738';
+        ctx.font = `24pt ${FONT_STACK}`;
+        ctx.fillText('Best voyages', columns[0], yPos);
+        yPos += rowHeight + 10;
+
+        ctx.font = `14pt ${FONT_STACK}`;
+        for (const [i, score] of this.scores.entries()) {
+            if (i == this.rank) {
+                ctx.fillStyle = 'hsl(48, 100%, 53%)';
+                ctx.fillRect(left + 5, yPos - rowHeight + 8, 490, rowHeight);
+                ctx.fillStyle = '#242738';
+            }
+
+            const date = new Date(score.date).toLocaleDateString();
+            const cells = [`${i + 1}.`, `${score.distance}m`, `${score.time}s`, `${score.modules} modules`, date];
+            for (const [j, cell] of cells.entries()) {
+                ctx.fillText(cell, columns[j], yPos);
+            }
+            yPos += rowHeight;
+        }
     }
 
     onClick() {
         this.alive = false;
         currentWaterHeight = DEFAULT_WATER_HEIGHT;
-        setUp(canvasEl);
+        tearDown(canvasEl);
+        end.setUp(canvasEl, state.summary());
     }
 }
 
 /**************/
 
+function onKeyDown(ev) {
+    if (ev.code == 'Space' || ev.code == 'KeyP') {
+        state.paused = !state.paused;
+    } else if (ev.code == 'KeyD') {
+        state.debug = !state.debug;
+    } else if (ev.code == 'KeyS') {
+        statsOverlay.visible = !statsOverlay.visible;
+    } else if (ev.code == 'KeyG') {
+        pressureOverlay.visible = !pressureOverlay.visible;
+    } else if (ev.code == 'KeyR') {
+        // held down, the key repeats and keeps the strokes coming, but only says why not once
+        if (state.shipView.updating && !state.paused) {
+            if (ev.repeat) state.row();
+            else gameController.row();
+        }
+    } else if (ev.code == 'KeyE') {
+        window.prompt('Copy this code to share your ship', exportBlueprint(state.ship));
+    }
+}
+
 export function setUp(canvasEl_) {
     canvasEl = canvasEl_;
     CANVAS_WIDTH = canvasEl.width;
     CANVAS_HEIGHT = canvasEl.height;
 
-    const ship = new Ship();
-
-    ship.updating = false;
+    // anything but a whole number Random can hold would quietly turn into some other seed
+    const seedParam = new URLSearchParams(window.location.search).get('seed');
+    const seedIsValid = seedParam !== null && /^\d+$/.test(seedParam) && Number(seedParam) <= 0xFFFFFFFF;
+    if (seedParam !== null && !seedIsValid) {
+        window.alert(`Ignoring seed "${seedParam}": seeds are whole numbers from 0 to ${0xFFFFFFFF}`);
+    }
+    state = new GameState(seedIsValid ? Number(seedParam) : undefined);
+    // offset so it doesn't roll the same numbers as the simulation
+    worldRng = new Random(state.seed ^ 0x5EED);
 
-    state = new State(ship);
+    const { ship } = state;
+    const shipView = new ShipView(ship);
+    shipView.updating = false;
+    state.shipView = shipView;
+    camera = new Camera(shipView);
 
     ctx = canvasEl.getContext('2d');
 
     entities.length = 0;
 
-    entities.push(new GameController());
+    gameController = new GameController();
+    entities.push(gameController);
+    entities.push(camera);
+    entities.push(new WeatherController());
     entities.push(new TitleScreen());
 
-    document.addEventListener('keydown', ev => {
-        if (ev.code == 'Space' || ev.code == 'KeyP') {
-            state.paused = !state.paused;
-        } else if (ev.code == 'KeyD') {
-            state.debug = !state.debug;
-        }
-    });
+    document.addEventListener('keydown', onKeyDown);
 
     ship.addModule(2, 0, HullModule);
 
     entities.push(new IslandController());
+    entities.push(new PickupController());
+    entities.push(new HazardController());
+    entities.push(new EnemyController());
     entities.push(new Water(10, 1, .1, 0));
 
-    entities.push(ship);
-    entities.push(new ShipUI(ship));
+    entities.push(shipView);
+    entities.push(new ShipUI(shipView));
+    entities.push(new InspectPanel(shipView));
+    statsOverlay = new StatsOverlay(shipView);
+    entities.push(statsOverlay);
+    pressureOverlay = new PressureOverlay(shipView);
+    entities.push(pressureOverlay);
 
     const foregroundWater = new Water(0, .5, .15, -150);
     foregroundWater.zIndex = 100;
@@ -1648,7 +2828,7 @@ export function setUp(canvasEl_) {
 
     const now = performance.now();
     previousTick = now;
-    tickTimer = setInterval(tick, 33);
+    tickTimer = setInterval(tick, TICK_INTERVAL);
 
     firstFrame = now;
     previousFrame = firstFrame;
@@ -1656,12 +2836,21 @@ export function setUp(canvasEl_) {
 
     canvasEl.onclick = onClick;
     canvasEl.onmousemove = onMouseMove;
+
+    // the autosave only runs every few seconds, so catch the reload itself too
+    window.onpagehide = () => {
+        if (state.shipView.updating && state.gameRunning) save.saveVoyage(state);
+    };
 }
 
 function tearDown(canvasEl) {
     clearInterval(tickTimer);
+    cancelAnimationFrame(animationFrame);
+    document.removeEventListener('keydown', onKeyDown);
+    window.onpagehide = null;
     canvasEl.onclick = null;
     canvasEl.onmousemove = null;
+    canvasEl.style.cursor = 'default';
 }
 
 window._debug = {
@@ -0,0 +1,27 @@
+// The best voyages played in this browser, kept in localStorage.
+
+const SCORES_KEY = 'i-sink-not:scores';
+const MAX_SCORES = 10;
+
+// further is better, and for the same distance, staying afloat longer is better
+const compareScores = (a, b) => (b.distance - a.distance) || (b.time - a.time);
+
+export function loadScores() {
+    try {
+        return JSON.parse(localStorage.getItem(SCORES_KEY)) || [];
+    } catch (e) {
+        return [];
+    }
+}
+
+// Adds a finished voyage to the table.  Returns the updated table and where the new
+// entry landed in it (-1 if it didn't make the cut).
+export function recordScore(entry) {
+    const scores = loadScores();
+    scores.push(entry);
+    scores.sort(compareScores);
+    scores.length = Math.min(scores.length, MAX_SCORES);
+
+    localStorage.setItem(SCORES_KEY, JSON.stringify(scores));
+    return { scores, rank: scores.indexOf(entry) };
+}
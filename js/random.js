@@ -0,0 +1,24 @@
+// Seedable PRNG (mulberry32).  Every random decision in a run goes through one of
+// these so the whole run can be replayed from its seed.
+export class Random {
+    constructor(seed = Random.randomSeed()) {
+        this.seed = seed >>> 0;
+        this.current = this.seed;
+    }
+
+    static randomSeed() {
+        return Math.floor(Math.random() * 1000000);
+    }
+
+    // uniform float in [0, 1), same contract as Math.random()
+    next() {
+        let t = this.current = (this.current + 0x6D2B79F5) | 0;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    pick(arr) {
+        return arr[Math.floor(this.next() * arr.length)];
+    }
+}
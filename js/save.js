@@ -0,0 +1,33 @@
+// Keeps the voyage in progress in localStorage so a reload doesn't sink it.
+
+const SAVE_KEY = 'i-sink-not:voyage';
+const SAVE_VERSION = 13;
+
+// Returns whether it saved: not while a player action is under way, since it's already
+// been paid for but what it does when it finishes can't be saved.
+export function saveVoyage(state) {
+    if (state.currentCallback) return false;
+
+    localStorage.setItem(SAVE_KEY, JSON.stringify({
+        version: SAVE_VERSION,
+        state: state.serialize(),
+    }));
+    return true;
+}
+
+// returns the serialized state of the saved voyage, if there's one we can resume
+export function loadVoyage() {
+    let save;
+    try {
+        save = JSON.parse(localStorage.getItem(SAVE_KEY));
+    } catch (e) {
+        return null;
+    }
+
+    if (!save || save.version !== SAVE_VERSION) return null;
+    return save.state;
+}
+
+export function clearVoyage() {
+    localStorage.removeItem(SAVE_KEY);
+}
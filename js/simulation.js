@@ -0,0 +1,1971 @@
+// Headless simulation core.  Nothing in here may touch the DOM, the canvas, sprites
+// or sounds -- the game in game.js renders this state and listens for its events,
+// and the same code can be imported in Node to step a ship without a browser:
+//
+//     const state = new State(12345);
+//     state.ship.addModule(2, 0, HullModule);
+//     state.step(60 * 1000); // => { draught, speed, distance, ... }
+
+import { Random } from './random.js';
+
+export const SHIP_MODULE_HEIGHT = 128;
+export const SHIP_MODULE_WIDTH = 128;
+
+// the simulation's step size: the browser and State.step() both advance it in
+// whole ticks of exactly this long
+export const TICK_INTERVAL = 33;
+
+// how often the run's timeline (for the post-run report) is sampled
+export const TIMELINE_INTERVAL = 1000;
+
+export const STARTING_COINS = 30;
+
+// how long the ship stays put when it docks at an island
+export const DOCK_TIME = 5 * 1000;
+// coins earned per meter traveled
+export const COINS_PER_METER = .1;
+// water taken out of a hull by one bucket, and by a pump per second
+export const BAIL_AMOUNT = 4;
+export const PUMP_RATE = 2.5;
+// rowing: each stroke lasts a moment and tires the crew, who get their breath back between strokes
+export const MAX_STAMINA = 100;
+export const ROW_STROKE_TIME = 800;
+export const ROW_STROKE_STAMINA = 8;
+export const ROW_SPEED = 1.5;
+export const STAMINA_RECOVERY = 10;
+// crew walk the grid one cell at a time to get to the repairs
+export const STARTING_CREW = 2;
+export const MAX_CREW = 5;
+export const CREW_COST = 20;
+export const CREW_WALK_TIME = 400;
+// boilers burn coal from one stock for the whole ship, which cargo holds make room for
+export const FUEL_CAPACITY = 100;
+export const FUEL_BURN_RATE = .5;
+export const CARGO_HOLD_CAPACITY = 50;
+export const REPAIR_TIME = 1000;
+
+// How hard the wind blows, how often things break and how big the waves get.
+// The weather only ever moves one step up or down this list at a time.
+export const WEATHER = [
+    { id: 'calm', name: 'Calm', wind: .25, damage: .75, waves: .5 },
+    { id: 'breeze', name: 'Breeze', wind: 1, damage: 1, waves: 1 },
+    { id: 'gale', name: 'Gale', wind: 1.75, damage: 1.5, waves: 2 },
+    { id: 'storm', name: 'Storm', wind: 1.25, damage: 3, waves: 3 },
+];
+export const WEATHER_MIN_DURATION = 30 * 1000;
+export const FORECAST_TIME = 15 * 1000;
+
+// Things in the water ahead.  `top` and `bottom` are how far below the water
+// line they reach, in the same units as the draught (negative is above water),
+// and anything on the ship in between gets hit.  Monsters swim at you.
+export const HAZARDS = [
+    { id: 'rock', name: 'Rock', top: -60, bottom: 400, damage: 6, speed: 0, difficulty: 0 },
+    { id: 'reef', name: 'Reef', top: 70, bottom: 400, damage: 4, speed: 0, difficulty: 0 },
+    { id: 'monster', name: 'Sea monster', top: -200, bottom: 60, damage: 8, speed: 1, difficulty: .5 },
+];
+// hazards show up this far ahead, or further if that's less than HAZARD_SPAWN_TIME
+// away at the speed they close in, every so many meters travelled
+export const HAZARD_SPAWN_DISTANCE = 100;
+export const HAZARD_SPAWN_TIME = 5000;
+export const HAZARD_INTERVAL = 200;
+// a hazard can be fended off this close, or this long before it hits
+export const FEND_OFF_RANGE = 40;
+export const FEND_OFF_TIME = 3000;
+export const FEND_OFF_COST = 5;
+
+// Enemy ships turn up now and then, shell the ship for a while and sail off
+// again unless they're sunk first.  They get tougher as the run goes on.
+export const ENEMY_INTERVAL = 60 * 1000;
+export const ENEMY_STAY = 45 * 1000;
+export const ENEMY_HEALTH = 20;
+export const ENEMY_FIRE_INTERVAL = 5000;
+export const ENEMY_DAMAGE = 4;
+export const ENEMY_BOUNTY = 25;
+export const CANNON_RELOAD = 3000;
+export const CANNON_DAMAGE = 5;
+
+// the grid widens as you build out to its edges, up to this many columns
+export const MAX_COLUMNS = 15;
+
+// how fast the ship rolls towards whichever side is heavier, in radians per second for
+// every column the centre of mass sits off the centre of buoyancy
+export const HEEL_RATE = .2;
+// The hull's shape pushes back against rolling, as if the centre of mass was moved back
+// this many columns at a heel of 90 degrees (it scales with sin(heel)).  So a ship
+// settles where the imbalance is RIGHTING_ARM * sin(heel)...
+export const RIGHTING_ARM = 1;
+// ...and one that can't settle before heeling this far (in radians either way) rolls over
+export const CAPSIZE_ANGLE = Math.PI / 4;
+
+// steam a working boiler puts out, shared between everything drawing on its network
+export const STEAM_PER_BOILER = 2;
+
+// modules start at level 1 and can be upgraded twice
+export const MAX_LEVEL = 3;
+
+// one full day and night; runs start in the morning
+export const DAY_LENGTH = 3 * 60 * 1000;
+const DAWN = .3;
+
+export class State {
+    constructor(seed) {
+        this.rng = new Random(seed);
+        this.seed = this.rng.seed;
+        this.listeners = {};
+        this.gameRunning = true;
+        this.shipDraught = 10;
+        // radians, positive when rolled over to the right
+        this.heel = 0;
+        this.timeAfloat = 0;
+        this.distanceTraveled = 0;
+        this.speed = 0;
+        this.coins = STARTING_COINS;
+        this.unlockedModules = moduleTypes.filter(moduleType => !moduleType.lockedAtStart).map(moduleType => moduleType.name);
+        this.dockTimeRemaining = 0;
+        this.stamina = MAX_STAMINA;
+        this.strokeTimeRemaining = 0;
+        this.fuel = FUEL_CAPACITY;
+        this.hazards = [];
+        this.nextHazardAt = HAZARD_INTERVAL;
+        this.enemy = null;
+        this.nextEnemyAt = ENEMY_INTERVAL;
+        this.weather = 'breeze';
+        this.windDirection = 1;
+        this.weatherTimeRemaining = WEATHER_MIN_DURATION;
+        this.nextWeather = this.forecastWeather();
+        this.cooldown = 0;
+        this.currentCallback = null;
+        this.timeElapsed = 0;
+        this.ship = new Ship(this);
+        this.crew = [];
+        for (let i = 0; i < STARTING_CREW; i++) {
+            this.crew.push(new CrewMember(this, this.ship.boardingX, 0));
+        }
+
+        // what happened during the run, for the post-run report
+        this.timeline = [];
+        this.timelineCountdown = 0;
+        this.moduleHistory = {};
+        this.causeOfSinking = null;
+    }
+
+    on(event, listener) {
+        if (!this.listeners[event]) this.listeners[event] = [];
+        this.listeners[event].push(listener);
+    }
+
+    emit(event, ...args) {
+        for (const listener of this.listeners[event] || []) {
+            listener(...args);
+        }
+    }
+
+    random() {
+        return this.rng.next();
+    }
+
+    get shipHeight() {
+        let height = 0;
+        for (const row of this.ship.modules) {
+            let nonNullModuleSeen = false;
+            for (const module of row) {
+                if (module.constructor.name != 'NullModule') {
+                    nonNullModuleSeen = true;
+                    break;
+                }
+            }
+
+            if (nonNullModuleSeen) {
+                height += SHIP_MODULE_HEIGHT;
+            }
+        }
+        return height;
+    }
+
+    get difficultyCoefficient() {
+        // difficulty doubles for every:
+        return Math.max(
+            this.distanceTraveled / 1000 / 2,  // 2 kilometers, or
+            this.timeElapsed / 1000 / 60 / 2,  // 2 minutes
+        );
+        // whichever is worse!
+    }
+
+    // count a module breaking or being repaired, by module type
+    recordModuleEvent(module, event) {
+        const name = module.constructor.moduleName;
+        if (!this.moduleHistory[name]) this.moduleHistory[name] = { broken: 0, repaired: 0 };
+        this.moduleHistory[name][event] += 1;
+    }
+
+    recordTimeline() {
+        this.timeline.push({
+            time: this.timeElapsed,
+            draught: this.shipDraught,
+            height: this.shipHeight,
+            speed: this.speed,
+        });
+    }
+
+    // Why the ship went under: if the hulls would still hold it up without the water
+    // in them it's the flooding, otherwise it's just carrying too much.
+    get sinkingCause() {
+        if (this.isCapsized) return 'Capsized';
+
+        const stats = this.ship.getStats();
+        let floodAmount = 0;
+        for (const row of this.ship.modules) {
+            for (const module of row) {
+                floodAmount += module.floodAmount || 0;
+            }
+        }
+
+        if (floodAmount > 0 && stats.weight <= (stats.buoyancy || 0) + floodAmount) {
+            return 'Flooded hulls';
+        }
+        return 'Overweight';
+    }
+
+    get isCapsized() {
+        return Math.abs(this.heel) > CAPSIZE_ANGLE;
+    }
+
+    // how fast the draught is growing, per second (negative when rising)
+    get sinkingRate() {
+        const stats = this.ship.getStats();
+        return (stats.weight - (stats.buoyancy || 0)) * 10;
+    }
+
+    // seconds left at the current sinking rate, or Infinity if we're not sinking
+    get timeToSink() {
+        const rate = this.sinkingRate;
+        if (rate <= 0) return Infinity;
+        return Math.max(0, this.shipHeight - this.shipDraught) / rate;
+    }
+
+    get isDocked() {
+        return this.dockTimeRemaining > 0;
+    }
+
+    dock(duration = DOCK_TIME) {
+        this.dockTimeRemaining = duration;
+        this.emit('docked');
+    }
+
+    // 0 at midnight, .5 at noon
+    get timeOfDay() {
+        return (this.timeElapsed / DAY_LENGTH + DAWN) % 1;
+    }
+
+    // 1 in broad daylight, 0 in the dead of night, with dusk and dawn in between
+    get daylight() {
+        const sunHeight = -Math.cos(this.timeOfDay * Math.PI * 2);
+        return Math.max(0, Math.min(1, (sunHeight + .3) / .6));
+    }
+
+    get isNight() {
+        return this.daylight < .5;
+    }
+
+    spawnHazard() {
+        const types = HAZARDS.filter(type => type.difficulty <= this.difficultyCoefficient);
+        const type = this.rng.pick(types);
+        const distance = Math.max(HAZARD_SPAWN_DISTANCE, HAZARD_SPAWN_TIME / 100 * (this.speed + type.speed));
+        const hazard = { type: type.id, distance };
+        this.hazards.push(hazard);
+        this.emit('hazardSpawned', hazard);
+        return hazard;
+    }
+
+    hazardType(hazard) {
+        return HAZARDS.find(type => type.id == hazard.type);
+    }
+
+    // ms until a hazard reaches the ship at the current speed
+    timeToImpact(hazard) {
+        const closingSpeed = this.speed + this.hazardType(hazard).speed;
+        return closingSpeed > 0 ? hazard.distance * 100 / closingSpeed : Infinity;
+    }
+
+    canFendOff(hazard) {
+        return hazard.distance <= FEND_OFF_RANGE || this.timeToImpact(hazard) <= FEND_OFF_TIME;
+    }
+
+    // The modules a hazard would run into: the frontmost one in every row it reaches.
+    hazardTargets(hazard) {
+        const { top, bottom } = this.hazardType(hazard);
+        const targets = [];
+        this.ship.modules.forEach((row, y) => {
+            const rowTop = this.shipDraught - (y + 1) * SHIP_MODULE_HEIGHT;
+            const rowBottom = this.shipDraught - y * SHIP_MODULE_HEIGHT;
+            if (rowTop >= bottom || rowBottom <= top) return;
+
+            const front = [...row].reverse().find(module => module.constructor.name != 'NullModule');
+            if (front) targets.push(front);
+        });
+        return targets;
+    }
+
+    // Pole it off or scare it away before it hits.  Returns why not if it can't be.
+    fendOff(hazard) {
+        if (!this.canFendOff(hazard)) return 'Too far away';
+        if (!this.spend(FEND_OFF_COST)) return `Costs ${FEND_OFF_COST} coins`;
+
+        this.hazards.splice(this.hazards.indexOf(hazard), 1);
+        this.emit('hazardAvoided', hazard);
+        return null;
+    }
+
+    tickHazards(timeSinceLastTick) {
+        if (this.distanceTraveled >= this.nextHazardAt) {
+            this.nextHazardAt += HAZARD_INTERVAL;
+            if (this.random() < Math.min(1, .25 + this.difficultyCoefficient / 2)) {
+                this.spawnHazard();
+            }
+        }
+
+        for (const hazard of [...this.hazards]) {
+            const { speed, damage } = this.hazardType(hazard);
+            hazard.distance -= timeSinceLastTick/100 * (this.speed + speed);
+            if (hazard.distance > 0) continue;
+
+            const targets = this.hazardTargets(hazard);
+            this.hazards.splice(this.hazards.indexOf(hazard), 1);
+            for (const module of targets) {
+                // an earlier hit may already have knocked it off
+                if (module.isAttached) module.hit(damage);
+            }
+            // sailed clean over (or under) it otherwise
+            this.emit(targets.length ? 'hazardHit' : 'hazardAvoided', hazard, targets);
+        }
+    }
+
+    spawnEnemy() {
+        const toughness = 1 + this.difficultyCoefficient;
+        this.enemy = {
+            health: ENEMY_HEALTH * toughness,
+            maxHealth: ENEMY_HEALTH * toughness,
+            damage: ENEMY_DAMAGE * toughness,
+            fireInterval: ENEMY_FIRE_INTERVAL / toughness,
+            fireCountdown: ENEMY_FIRE_INTERVAL,
+            timeRemaining: ENEMY_STAY,
+        };
+        this.emit('enemyArrived', this.enemy);
+        return this.enemy;
+    }
+
+    // what a cannonball does when it lands
+    hitEnemy(damage) {
+        const { enemy } = this;
+        enemy.health = Math.max(0, enemy.health - damage);
+        if (enemy.health > 0) return;
+
+        this.enemy = null;
+        this.coins += ENEMY_BOUNTY;
+        this.emit('enemySunk', enemy);
+    }
+
+    tickEnemy(timeSinceLastTick) {
+        if (!this.enemy) {
+            if (this.timeElapsed >= this.nextEnemyAt) {
+                this.nextEnemyAt += ENEMY_INTERVAL;
+                if (this.random() < Math.min(1, this.difficultyCoefficient)) {
+                    this.spawnEnemy();
+                }
+            }
+            return;
+        }
+
+        const { enemy } = this;
+        enemy.timeRemaining -= timeSinceLastTick;
+        if (enemy.timeRemaining <= 0) {
+            this.enemy = null;
+            this.emit('enemyLeft', enemy);
+            return;
+        }
+
+        enemy.fireCountdown -= timeSinceLastTick;
+        if (enemy.fireCountdown <= 0) {
+            enemy.fireCountdown = enemy.fireInterval;
+            const targets = [];
+            for (const row of this.ship.modules) {
+                targets.push(...row.filter(module => module.constructor.name != 'NullModule'));
+            }
+            const target = this.rng.pick(targets);
+            target.hit(enemy.damage);
+            this.emit('enemyFired', target);
+        }
+    }
+
+    get currentWeather() {
+        return WEATHER.find(weather => weather.id == this.weather);
+    }
+
+    forecastWeather() {
+        const index = WEATHER.indexOf(this.currentWeather);
+        const options = [WEATHER[index - 1], WEATHER[index + 1]].filter(weather => weather);
+        return this.rng.pick(options).id;
+    }
+
+    changeWeather() {
+        this.weather = this.nextWeather;
+        this.windDirection = this.random() < .75 ? 1 : -1;
+        this.weatherTimeRemaining = WEATHER_MIN_DURATION * (1 + this.random());
+        this.nextWeather = this.forecastWeather();
+        this.emit('weatherChanged', this.currentWeather);
+    }
+
+    // How much push a sail gets out of the wind.  `upwind` is how much of it the
+    // sail keeps when the wind is coming from ahead.
+    windPower(upwind) {
+        const { wind } = this.currentWeather;
+        return this.windDirection > 0 ? wind : wind * upwind;
+    }
+
+    get isRowing() {
+        return this.strokeTimeRemaining > 0;
+    }
+
+    // Pull on the oars.  Holding the key repeats this, so a stroke already under
+    // way just carries on.  Returns why not if the crew can't row.
+    row() {
+        if (this.isRowing) return null;
+        if (this.isDocked) return 'Tied up at the island';
+        if (this.stamina < ROW_STROKE_STAMINA) return 'Too tired to row';
+
+        this.stamina -= ROW_STROKE_STAMINA;
+        this.strokeTimeRemaining = ROW_STROKE_TIME;
+        this.emit('stroke');
+        return null;
+    }
+
+    get fuelCapacity() {
+        let capacity = FUEL_CAPACITY;
+        for (const row of this.ship.modules) {
+            for (const module of row) {
+                if (module instanceof CargoHoldModule) capacity += module.capacity;
+            }
+        }
+        return capacity;
+    }
+
+    // Top up the coal as far as there's room.  Returns how much went in.
+    addFuel(amount) {
+        const added = Math.max(0, Math.min(amount, this.fuelCapacity - this.fuel));
+        this.fuel += added;
+        return added;
+    }
+
+    // Boilers call this as they burn; everything goes cold together once it's gone.
+    burnFuel(amount) {
+        if (this.fuel <= 0) return;
+
+        this.fuel = Math.max(0, this.fuel - amount);
+        if (this.fuel == 0) this.emit('outOfFuel');
+    }
+
+    // the closest crew member with nothing to do, by grid distance
+    nearestFreeCrew(x, y) {
+        let nearest = null;
+        for (const member of this.crew) {
+            if (member.isBusy) continue;
+            if (!nearest || member.distanceTo(x, y) < nearest.distanceTo(x, y)) {
+                nearest = member;
+            }
+        }
+        return nearest;
+    }
+
+    // Returns why not if nobody can be hired.
+    hireCrew() {
+        if (this.crew.length >= MAX_CREW) return 'No room for more crew';
+        if (!this.spend(CREW_COST)) return `Hiring costs ${CREW_COST} coins`;
+
+        const member = new CrewMember(this, this.ship.boardingX, 0);
+        this.crew.push(member);
+        this.emit('crewHired', member);
+        return null;
+    }
+
+    isUnlocked(ModuleClass) {
+        return this.unlockedModules.includes(ModuleClass.name);
+    }
+
+    unlock(ModuleClass) {
+        if (this.isUnlocked(ModuleClass)) return;
+        this.unlockedModules.push(ModuleClass.name);
+        this.emit('moduleUnlocked', ModuleClass);
+    }
+
+    get lockedModules() {
+        return moduleTypes.filter(moduleType => !this.isUnlocked(moduleType));
+    }
+
+    // Takes the coins if there are enough; returns whether they were spent.
+    spend(coins) {
+        if (this.coins < coins) return false;
+        this.coins -= coins;
+        return true;
+    }
+
+    doPlayerAction(delay, callback) {
+        this.cooldown = delay;
+        this.currentCallback = callback;
+    }
+
+    finishPlayerAction() {
+        this.currentCallback();
+        this.currentCallback = null;
+    }
+
+    tick(timeSinceLastTick) {
+        if (!this.gameRunning) return;
+
+        // lose condition
+        if (this.shipHeight < this.shipDraught || this.isCapsized) {
+            // TODO: if the top row of modules is all NullModule don't count it
+            this.gameRunning = false;
+            this.causeOfSinking = this.sinkingCause;
+            this.recordTimeline();
+            this.emit('sunk');
+            return;
+        }
+
+        // handle cooldowns and actions
+        this.cooldown = Math.max(0, this.cooldown - timeSinceLastTick);
+        if (this.cooldown == 0 && this.currentCallback) {
+            this.finishPlayerAction();
+        }
+
+        this.weatherTimeRemaining -= timeSinceLastTick;
+        if (this.weatherTimeRemaining <= 0) {
+            this.changeWeather();
+        }
+
+        this.strokeTimeRemaining = Math.max(0, this.strokeTimeRemaining - timeSinceLastTick);
+        if (!this.isRowing) {
+            this.stamina = Math.min(MAX_STAMINA, this.stamina + timeSinceLastTick/1000 * STAMINA_RECOVERY);
+        }
+
+        // a hold taken off the ship takes its coal with it
+        this.fuel = Math.min(this.fuel, this.fuelCapacity);
+
+        this.ship.updateSteam();
+        const stats = this.ship.getStats();
+        // nobody goes anywhere while tied up at an island
+        this.dockTimeRemaining = Math.max(0, this.dockTimeRemaining - timeSinceLastTick);
+        this.speed = this.isDocked ? 0 : stats.speed || 0;
+
+        this.timeAfloat += timeSinceLastTick;
+        this.distanceTraveled += timeSinceLastTick/100 * this.speed;
+        this.coins += timeSinceLastTick/100 * this.speed * COINS_PER_METER;
+        this.shipDraught += timeSinceLastTick/100 * (stats.weight - (stats.buoyancy || 0));
+
+        // roll towards the heavy side until the hull rights itself against it, helped by
+        // the hulls on that side sinking deeper
+        const { centreOfMass, centreOfBuoyancy } = this.ship;
+        if (centreOfMass !== null && centreOfBuoyancy !== null) {
+            const imbalance = centreOfMass - centreOfBuoyancy - RIGHTING_ARM * Math.sin(this.heel);
+            this.heel += timeSinceLastTick/1000 * HEEL_RATE * imbalance;
+        }
+
+        this.ship.tick(timeSinceLastTick);
+        this.tickHazards(timeSinceLastTick);
+        this.tickEnemy(timeSinceLastTick);
+
+        for (const member of this.crew) {
+            member.tick(timeSinceLastTick);
+        }
+        for (const member of this.crew.filter(member => member.isDrowning)) {
+            member.abandonTask();
+            this.crew.splice(this.crew.indexOf(member), 1);
+            this.emit('crewLost', member);
+        }
+
+        this.timelineCountdown -= timeSinceLastTick;
+        if (this.timelineCountdown <= 0) {
+            this.recordTimeline();
+            this.timelineCountdown = TIMELINE_INTERVAL;
+        }
+
+        this.timeElapsed += timeSinceLastTick;
+    }
+
+    // Advance by `ms` milliseconds in fixed-size ticks, stopping early if the ship sinks.
+    step(ms, tickSize = TICK_INTERVAL) {
+        let remaining = ms;
+        while (remaining > 0 && this.gameRunning) {
+            const timeSinceLastTick = Math.min(tickSize, remaining);
+            this.tick(timeSinceLastTick);
+            remaining -= timeSinceLastTick;
+        }
+        return this.snapshot();
+    }
+
+    serialize() {
+        return {
+            seed: this.seed,
+            rng: this.rng.current,
+            shipDraught: this.shipDraught,
+            heel: this.heel,
+            distanceTraveled: this.distanceTraveled,
+            timeAfloat: this.timeAfloat,
+            timeElapsed: this.timeElapsed,
+            coins: this.coins,
+            unlockedModules: this.unlockedModules,
+            dockTimeRemaining: this.dockTimeRemaining,
+            stamina: this.stamina,
+            fuel: this.fuel,
+            crew: this.crew.map(member => member.serialize()),
+            hazards: this.hazards,
+            nextHazardAt: this.nextHazardAt,
+            enemy: this.enemy,
+            nextEnemyAt: this.nextEnemyAt,
+            weather: this.weather,
+            nextWeather: this.nextWeather,
+            windDirection: this.windDirection,
+            weatherTimeRemaining: this.weatherTimeRemaining,
+            timeline: this.timeline,
+            moduleHistory: this.moduleHistory,
+            ship: this.ship.serialize(),
+        };
+    }
+
+    // inverse of serialize(), for a freshly constructed State
+    restore(data) {
+        this.rng = new Random(data.seed);
+        this.rng.current = data.rng;
+        this.seed = this.rng.seed;
+        this.shipDraught = data.shipDraught;
+        this.heel = data.heel;
+        this.distanceTraveled = data.distanceTraveled;
+        this.timeAfloat = data.timeAfloat;
+        this.timeElapsed = data.timeElapsed;
+        this.coins = data.coins;
+        this.unlockedModules = data.unlockedModules;
+        this.dockTimeRemaining = data.dockTimeRemaining;
+        this.stamina = data.stamina;
+        this.fuel = data.fuel;
+        this.crew = data.crew.map(memberData => new CrewMember(this, memberData.x, memberData.y));
+        this.hazards = data.hazards;
+        this.nextHazardAt = data.nextHazardAt;
+        this.enemy = data.enemy;
+        this.nextEnemyAt = data.nextEnemyAt;
+        this.weather = data.weather;
+        this.nextWeather = data.nextWeather;
+        this.windDirection = data.windDirection;
+        this.weatherTimeRemaining = data.weatherTimeRemaining;
+        this.timeline = data.timeline;
+        this.moduleHistory = data.moduleHistory;
+        this.ship.restore(data.ship);
+    }
+
+    // everything the post-run report needs
+    summary() {
+        return {
+            seed: this.seed,
+            distance: this.distanceTraveled,
+            time: this.timeElapsed,
+            modules: this.ship.moduleCount,
+            causeOfSinking: this.causeOfSinking,
+            timeline: this.timeline,
+            moduleHistory: this.moduleHistory,
+        };
+    }
+
+    snapshot() {
+        const modules = [];
+        for (const row of this.ship.modules) {
+            for (const module of row) {
+                if (module.constructor.name == 'NullModule') continue;
+                modules.push({
+                    type: module.constructor.name,
+                    x: module.x,
+                    y: module.y,
+                    damage: module.damage,
+                    health: module.health,
+                    damageLevel: module.damageLevel,
+                });
+            }
+        }
+
+        return {
+            draught: this.shipDraught,
+            heel: this.heel,
+            speed: this.speed,
+            distance: this.distanceTraveled,
+            timeAfloat: this.timeAfloat,
+            coins: this.coins,
+            fuel: this.fuel,
+            sunk: !this.gameRunning,
+            modules,
+        };
+    }
+}
+
+export class ShipModule {
+    static canBuildAt(ship, x, y) { return true; }
+
+    get solid() {
+        return this.constructor.solid;
+    }
+
+    get carriesSteam() {
+        return this.constructor.carriesSteam;
+    }
+
+    // false once it's been taken off the ship or has fallen off
+    get isAttached() {
+        return this.ship.getModule(this.x, this.y) === this;
+    }
+
+    constructor(ship, x, y) {
+        this.health = 10;
+        this.ship = ship;
+        // x and y here are coordinates in the ship's grid
+        this.x = x;
+        this.y = y;
+        this.damage = 0;
+
+        this.damageLevel = 'normal';
+        this.isBeingRepaired = false;
+        this.level = 1;
+        // how much of the steam it wants it's getting, 0 to 1; set by Ship.updateSteam()
+        this.steamPressure = 0;
+    }
+
+    get state() {
+        return this.ship.state;
+    }
+
+    // Each level makes a module do more and break less (divide fragility by it)...
+    get upgradeFactor() {
+        return 1 + (this.level - 1) * .5;
+    }
+
+    // ...but the extra gear weighs a bit more
+    get upgradeWeight() {
+        return 1 + (this.level - 1) * .2;
+    }
+
+    get upgradeCost() {
+        return this.constructor.cost * this.level;
+    }
+
+    get weight() {
+        return 5 * this.upgradeWeight;
+    }
+
+    get fragility() {
+        return 0;
+    }
+
+    // how many grid cells its light reaches at night
+    get lightRadius() {
+        return 0;
+    }
+
+    // the other modules this one feeds or draws on
+    get connectedModules() {
+        return [];
+    }
+
+    // What it swaps steam with.  Boilers and pipes link up with each other and with
+    // anything drawing on them; everything else only with the ones it draws on.
+    get steamLinks() {
+        if (!this.carriesSteam) return this.connectedModules.filter(module => module.carriesSteam);
+
+        return [[-1, 0], [1, 0], [0, -1], [0, 1]]
+            .map(([i, j]) => this.ship.getModule(this.x + i, this.y + j))
+            .filter(module => module && (module.carriesSteam || module.connectedModules.includes(this)));
+    }
+
+    // steam put into / wanted from the network each tick
+    get steamOutput() {
+        return 0;
+    }
+
+    get steamDemand() {
+        return 0;
+    }
+
+    // what a repair costs right now, going up with the damage
+    get repairCost() {
+        return Math.ceil(this.constructor.cost * (this.damage / this.health) / 2);
+    }
+
+    // what demolishing the module gives back: half of what went into it
+    get refund() {
+        const invested = this.constructor.cost * (1 + (this.level - 1) * this.level / 2);
+        return Math.floor(invested / 2);
+    }
+
+    get percentSubmerged() {
+        return Math.max(0, Math.min(1, (this.ship.draughtAt(this.x) - (this.y * SHIP_MODULE_HEIGHT)) / SHIP_MODULE_HEIGHT));
+    }
+
+    getStats() {
+        return {};
+    }
+
+    onDamage() {}
+    onBreak() {}
+    onFixed() {}
+    // when construction finishes, but not when a saved ship is put back together
+    onBuilt() {}
+
+    tick(timeSinceLastTick) {
+        const { state } = this;
+
+        if (this.fragility != 0) {
+            if (state.random() < timeSinceLastTick * .0005 * state.currentWeather.damage) {
+                const boost = this.fragility * state.difficultyCoefficient * (timeSinceLastTick/25) * state.random();
+                this.damage = Math.min(this.health, this.damage + boost);
+            }
+
+            this.updateDamageLevel();
+        }
+    }
+
+    // a knock from outside the ship, fragile or not
+    hit(damage) {
+        this.damage = Math.min(this.health, this.damage + damage);
+        this.updateDamageLevel();
+    }
+
+    updateDamageLevel() {
+        const { state } = this;
+
+        if (this.damageLevel != 'broken' && this.damage == this.health) {
+            this.damageLevel = 'broken';
+            this.onBreak();
+            state.recordModuleEvent(this, 'broken');
+            state.emit('break', this);
+            this.ship.dropDetached();
+        } else if (this.damageLevel == 'normal' && this.damage > this.health/2) {
+            this.damageLevel = 'damaged';
+            this.onDamage();
+            state.emit('damage', this);
+        } else if (this.damageLevel != 'normal' && this.damage == 0) {
+            this.damageLevel = 'normal';
+            this.onFixed();
+            state.emit('fixed', this);
+        }
+    }
+
+    serialize() {
+        return {
+            type: this.constructor.name,
+            x: this.x,
+            y: this.y,
+            damage: this.damage,
+            damageLevel: this.damageLevel,
+            level: this.level,
+        };
+    }
+
+    restore(data) {
+        this.damage = data.damage;
+        this.damageLevel = data.damageLevel;
+        this.level = data.level;
+    }
+
+    // Tear the module down, leaving an empty cell.  Returns why not if it can't be removed.
+    demolish() {
+        const reason = this.ship.canRemoveModule(this.x, this.y);
+        if (reason) return reason;
+
+        this.state.emit('startDemolish', this);
+        this.state.doPlayerAction(1000, () => {
+            // it may have fallen off in the meantime
+            if (!this.isAttached) return;
+            this.ship.removeModule(this.x, this.y);
+            this.ship.dropDetached();
+            this.state.coins += this.refund;
+        });
+        return null;
+    }
+
+    // Returns why not if it can't be upgraded.
+    upgrade() {
+        if (!this.constructor.cost) return 'Can\'t upgrade this';
+        if (this.level >= MAX_LEVEL) return 'Fully upgraded';
+        if (this.damageLevel != 'normal' || this.isBeingRepaired) return 'Repair it first';
+        if (!this.state.spend(this.upgradeCost)) return `Upgrading costs ${this.upgradeCost} coins`;
+
+        this.state.emit('startUpgrade', this);
+        this.state.doPlayerAction(1000, () => {
+            this.level++;
+            this.state.emit('moduleUpgraded', this);
+        });
+        return null;
+    }
+
+    // Send the nearest free crew member over to repair the module.  Returns why
+    // not if it can't be repaired.
+    repair() {
+        if (this.damageLevel == 'normal') return 'Nothing to repair';
+        if (this.isBeingRepaired) return 'Help is on the way';
+
+        const member = this.state.nearestFreeCrew(this.x, this.y);
+        if (!member) return 'All hands are busy';
+        if (!this.state.spend(this.repairCost)) return `Repairs cost ${this.repairCost} coins`;
+
+        this.isBeingRepaired = true;
+        member.repair(this);
+        return null;
+    }
+
+    fix() {
+        this.damage = 0;
+        this.isBeingRepaired = false;
+        this.updateDamageLevel();
+        this.state.recordModuleEvent(this, 'repaired');
+    }
+}
+ShipModule.solid = true;
+ShipModule.carriesSteam = false;
+ShipModule.cost = 0;
+
+export class HullModule extends ShipModule {
+    constructor(ship, x, y) {
+        super(ship, x, y);
+        this.floodAmount = 0;
+    }
+
+    get buoyancy() {
+        return 20 * this.upgradeFactor;
+    }
+
+    static canBuildAt(ship, modX, modY) {
+        const moduleBelow = ship.getModule(modX, modY - 1);
+        if (moduleBelow && moduleBelow.solid) return true;
+
+        const left = ship.getModule(modX - 1, modY, HullModule);
+        if (left && left.solid) return true;
+
+        const right = ship.getModule(modX + 1, modY, HullModule);
+        if (right && right.solid) return true;
+
+        return false;
+    }
+
+    get fragility() {
+        for (let i = -1; i < 2; i++) {
+            for (let j = -1; j < 2; j++) {
+                if (j == 0 || i == 0) { // don't count diagonals
+                    if (i == 0 && j == 0) continue; // don't count self
+                    const adjacentModule = this.ship.getModule(this.x + i, this.y + j);
+                    if (adjacentModule && adjacentModule.constructor.name == 'CastleModule') {
+                        return .5 / this.upgradeFactor;
+                    }
+                }
+            }
+        }
+
+        return 1 / this.upgradeFactor;
+    }
+
+    tick(timeSinceLastTick) {
+        if (this.percentSubmerged == 0)
+            return;
+
+        super.tick(timeSinceLastTick);
+
+        if (this.damageLevel == 'broken') {
+            this.floodAmount = Math.min(this.buoyancy, this.floodAmount + timeSinceLastTick/1000 * 3);
+        }
+    }
+
+    onFixed() {
+        this.floodAmount = 0;
+    }
+
+    // Scoop some water out by hand.  Doesn't fix the breach, so it keeps coming in.
+    bail() {
+        if (this.floodAmount == 0) return 'Nothing to bail';
+
+        this.state.emit('startBail', this);
+        this.state.doPlayerAction(500, () => {
+            this.floodAmount = Math.max(0, this.floodAmount - BAIL_AMOUNT);
+        });
+        return null;
+    }
+
+    serialize() {
+        return { ...super.serialize(), floodAmount: this.floodAmount };
+    }
+
+    restore(data) {
+        super.restore(data);
+        this.floodAmount = data.floodAmount;
+    }
+
+    getStats() {
+        const percentSubmerged = this.percentSubmerged;
+        return {
+            'buoyancy': percentSubmerged > 0 ? this.buoyancy * percentSubmerged - this.floodAmount: 0,
+        }
+    }
+}
+HullModule.moduleName = 'Hull';
+HullModule.cost = 10;
+HullModule.description = 'Makes you float';
+
+export class NullModule extends ShipModule {
+    get weight() {
+        return 0;
+    }
+
+    tick() {}
+}
+NullModule.solid = false;
+
+export class ConstructionModule extends ShipModule {
+    tick() {}
+}
+ConstructionModule.moduleName = 'Scaffolding';
+ConstructionModule.solid = false;
+
+export class SailModule extends ShipModule {
+    get weight() {
+        return 1.5 * this.upgradeWeight;
+    }
+
+    static canBuildAt(ship, modX, modY) {
+        // TODO: this is just notional stuff for testing the logic, feel free to change how sails work
+
+        // cannot build at the root
+        if (modY == 0) {
+            return false;
+        }
+
+        // must be on top of a solid module
+        const moduleBelow = ship.getModule(modX, modY-1);
+        return moduleBelow && moduleBelow.solid;
+    }
+
+    getStats() {
+        return {
+            // square sails are next to useless into the wind
+            speed: this.percentSubmerged < .5 ? this.state.windPower(.2) * this.upgradeFactor : 0,
+        }
+    }
+}
+SailModule.moduleName = 'Sail';
+SailModule.cost = 8;
+SailModule.description = 'Makes you go';
+SailModule.solid = false;
+
+export class BoilerModule extends ShipModule {
+    get weight() {
+        return 10 * this.upgradeWeight;
+    }
+
+    get fragility() {
+        return (this.hasSmokeStack ? .5 : 1) / this.upgradeFactor;
+    }
+
+    static canBuildAt(ship, modX, modY) {
+        const moduleBelow = ship.getModule(modX, modY - 1);
+        return moduleBelow && moduleBelow.solid;
+    }
+
+    tick(timeSinceLastTick) {
+        if (this.percentSubmerged >= 1) {
+            return;
+        }
+
+        super.tick(timeSinceLastTick);
+
+        // upgraded boilers make more steam and burn more coal doing it
+        if (this.isGeneratingSteam) {
+            this.state.burnFuel(timeSinceLastTick/1000 * FUEL_BURN_RATE * this.upgradeFactor);
+        }
+    }
+
+    // looked up every time since the stack above can be demolished
+    get hasSmokeStack() {
+        const moduleAbove = this.ship.getModule(this.x, this.y + 1);
+        return !!moduleAbove && moduleAbove.constructor.name == 'SmokeStackModule';
+    }
+
+    // everything it needs to make steam apart from coal
+    get canFire() {
+        if (this.percentSubmerged > .5)
+            return false;
+
+        return this.damageLevel != 'broken';
+    }
+
+    get isOutOfFuel() {
+        return this.canFire && this.state.fuel <= 0;
+    }
+
+    get isGeneratingSteam() {
+        return this.canFire && this.state.fuel > 0;
+    }
+
+    get steamOutput() {
+        return this.isGeneratingSteam ? STEAM_PER_BOILER * this.upgradeFactor : 0;
+    }
+
+    // pipes and boilers alongside, and everything drawing steam off it
+    get connectedModules() {
+        return this.steamLinks;
+    }
+
+    // the firebox window
+    get lightRadius() {
+        return this.isGeneratingSteam ? 1 : 0;
+    }
+}
+BoilerModule.moduleName = 'Boiler';
+BoilerModule.cost = 15;
+BoilerModule.description = 'Provides steam for propellors and balloons';
+BoilerModule.carriesSteam = true;
+
+export class PropellerModule extends ShipModule {
+    get weight() {
+        return 2 * this.upgradeWeight;
+    }
+
+    static canBuildAt(ship, modX, modY) {
+        const moduleLeft = ship.getModule(modX - 1, modY);
+        return moduleLeft && moduleLeft.carriesSteam;
+    }
+
+    get isSpinning() {
+        return this.steamPressure > 0;
+    }
+
+    get steamDemand() {
+        return 1;
+    }
+
+    get connectedModules() {
+        const moduleLeft = this.ship.getModule(this.x - 1, this.y);
+        return moduleLeft && moduleLeft.carriesSteam ? [moduleLeft] : [];
+    }
+
+    getStats() {
+        return {
+            speed: 5 * this.upgradeFactor * this.steamPressure,
+        }
+    }
+}
+PropellerModule.moduleName = 'Propellor';
+PropellerModule.cost = 12;
+PropellerModule.description = 'Makes you go <i>fast</i>. Must be attached to a boiler or steam pipe';
+PropellerModule.solid = false;
+
+export class BalloonModule extends ShipModule {
+    get isInflated() {
+        return this.steamPressure > 0;
+    }
+
+    get steamDemand() {
+        return 1;
+    }
+
+    get weight() {
+        return this.isInflated ? -10 * this.upgradeFactor * this.steamPressure : this.upgradeWeight;
+    }
+
+    get connectedModules() {
+        const moduleBelow = this.ship.getModule(this.x, this.y - 1);
+        return moduleBelow && moduleBelow.carriesSteam ? [moduleBelow] : [];
+    }
+
+    static canBuildAt(ship, modX, modY) {
+        const moduleBelow = ship.getModule(modX, modY - 1);
+        return moduleBelow && moduleBelow.carriesSteam;
+    }
+}
+BalloonModule.moduleName = 'Balloon';
+BalloonModule.cost = 12;
+BalloonModule.lockedAtStart = true;
+BalloonModule.description = 'Makes you go <i>up</i>. Must be attached to a boiler or steam pipe'
+BalloonModule.solid = false;
+
+export class FinSailModule extends ShipModule {
+    get weight() {
+        return 2.5 * this.upgradeWeight;
+    }
+
+    static canBuildAt(ship, modX, modY) {
+        const moduleRight = ship.getModule(modX + 1, modY);
+        return moduleRight && moduleRight.solid;
+    }
+
+    getStats() {
+        return {
+            speed: this.percentSubmerged < .5 ? .5 * this.state.windPower(.8) * this.upgradeFactor : 0,
+        }
+    }
+}
+FinSailModule.solid = false;
+FinSailModule.moduleName = 'Fin sail';
+FinSailModule.cost = 6;
+FinSailModule.description = 'Makes you go';
+
+export class CastleModule extends ShipModule {
+    get weight() { return 20 * this.upgradeWeight; }
+
+    static canBuildAt(ship, modX, modY) {
+        const mod = ship.getModule(modX, modY - 1);
+        return mod && mod.solid;
+    }
+}
+CastleModule.moduleName = 'Castle';
+CastleModule.cost = 25;
+CastleModule.lockedAtStart = true;
+CastleModule.description = 'Reinforces adjacent hulls (and looks really cool)';
+
+export class SmokeStackModule extends ShipModule {
+    static canBuildAt(ship, modX, modY) {
+        const mod = ship.getModule(modX, modY - 1, BoilerModule);
+        return mod && mod.solid;
+    }
+
+    constructor(ship, x, y) {
+        super(ship, x, y);
+        this.boiler = ship.getModule(x, y-1);
+    }
+
+    get weight() { return 8 * this.upgradeWeight; }
+
+    get connectedModules() {
+        return this.boiler ? [this.boiler] : [];
+    }
+}
+SmokeStackModule.moduleName = 'Smoke Stack';
+SmokeStackModule.cost = 10;
+SmokeStackModule.description = 'Makes boilers more resilient';
+SmokeStackModule.solid = false;
+
+export class PumpModule extends ShipModule {
+    get weight() {
+        return 4 * this.upgradeWeight;
+    }
+
+    get fragility() {
+        return .5 / this.upgradeFactor;
+    }
+
+    static canBuildAt(ship, modX, modY) {
+        const moduleBelow = ship.getModule(modX, modY - 1);
+        return moduleBelow && moduleBelow.solid;
+    }
+
+    get adjacentModules() {
+        return [[-1, 0], [1, 0], [0, -1], [0, 1]]
+            .map(([i, j]) => this.ship.getModule(this.x + i, this.y + j))
+            .filter(module => module);
+    }
+
+    get connectedModules() {
+        return this.adjacentModules.filter(module => module.carriesSteam || module instanceof HullModule);
+    }
+
+    get canWork() {
+        return this.damageLevel != 'broken' && this.percentSubmerged < 1;
+    }
+
+    get steamDemand() {
+        return this.canWork ? .5 : 0;
+    }
+
+    get isPumping() {
+        return this.canWork && this.steamPressure > 0;
+    }
+
+    tick(timeSinceLastTick) {
+        super.tick(timeSinceLastTick);
+
+        if (!this.isPumping) return;
+
+        for (const module of this.adjacentModules) {
+            if (module.floodAmount > 0) {
+                module.floodAmount = Math.max(0, module.floodAmount - timeSinceLastTick/1000 * PUMP_RATE * this.upgradeFactor * this.steamPressure);
+            }
+        }
+    }
+}
+PumpModule.moduleName = 'Bilge pump';
+PumpModule.cost = 14;
+PumpModule.description = 'Bails out adjacent hulls. Must be next to a boiler or steam pipe';
+
+export class LanternModule extends ShipModule {
+    get weight() {
+        return this.upgradeWeight;
+    }
+
+    // hangs off anything solid next to it
+    static canBuildAt(ship, modX, modY) {
+        return [[-1, 0], [1, 0], [0, -1], [0, 1]].some(([i, j]) => {
+            const module = ship.getModule(modX + i, modY + j);
+            return module && module.solid;
+        });
+    }
+
+    get isLit() {
+        return this.damageLevel != 'broken' && this.percentSubmerged < 1;
+    }
+
+    get lightRadius() {
+        return this.isLit ? 2 * this.upgradeFactor : 0;
+    }
+}
+LanternModule.moduleName = 'Lantern';
+LanternModule.cost = 5;
+LanternModule.description = 'Lights up the ship at night so you can see what needs fixing';
+LanternModule.solid = false;
+
+export class CannonModule extends ShipModule {
+    constructor(ship, x, y) {
+        super(ship, x, y);
+        this.reloadRemaining = CANNON_RELOAD;
+    }
+
+    get weight() {
+        return 6 * this.upgradeWeight;
+    }
+
+    get fragility() {
+        return .5 / this.upgradeFactor;
+    }
+
+    serialize() {
+        return { ...super.serialize(), reloadRemaining: this.reloadRemaining };
+    }
+
+    restore(data) {
+        super.restore(data);
+        this.reloadRemaining = data.reloadRemaining;
+    }
+
+    static canBuildAt(ship, modX, modY) {
+        const moduleBelow = ship.getModule(modX, modY - 1);
+        return moduleBelow && moduleBelow.solid;
+    }
+
+    get connectedModules() {
+        return [[-1, 0], [1, 0], [0, -1]]
+            .map(([i, j]) => this.ship.getModule(this.x + i, this.y + j))
+            .filter(module => module && module.carriesSteam);
+    }
+
+    get canWork() {
+        return this.damageLevel != 'broken' && this.percentSubmerged <= .5;
+    }
+
+    get steamDemand() {
+        return this.canWork ? .5 : 0;
+    }
+
+    // a steam cannon; it needs a boiler or pipe with steam in it alongside
+    get isPowered() {
+        return this.canWork && this.steamPressure > 0;
+    }
+
+    tick(timeSinceLastTick) {
+        super.tick(timeSinceLastTick);
+
+        const { state } = this;
+        if (!state.enemy || !this.isPowered) return;
+
+        // reloads slower on low pressure
+        this.reloadRemaining -= timeSinceLastTick * this.steamPressure;
+        if (this.reloadRemaining > 0) return;
+
+        this.reloadRemaining = CANNON_RELOAD;
+        const hit = state.random() < .75;
+        state.emit('cannonFired', this, hit);
+        if (hit) state.hitEnemy(CANNON_DAMAGE * this.upgradeFactor);
+    }
+}
+CannonModule.moduleName = 'Cannon';
+CannonModule.cost = 20;
+CannonModule.description = 'Fires at enemy ships by itself. Must be next to a boiler or steam pipe';
+
+export class PipeModule extends ShipModule {
+    get weight() {
+        return .5 * this.upgradeWeight;
+    }
+
+    get fragility() {
+        return .25 / this.upgradeFactor;
+    }
+
+    // like a lantern, it hangs off anything solid next to it
+    static canBuildAt(ship, modX, modY) {
+        return [[-1, 0], [1, 0], [0, -1], [0, 1]].some(([i, j]) => {
+            const module = ship.getModule(modX + i, modY + j);
+            return module && module.solid;
+        });
+    }
+
+    get connectedModules() {
+        return this.steamLinks;
+    }
+}
+PipeModule.moduleName = 'Steam pipe';
+PipeModule.cost = 4;
+PipeModule.description = 'Carries steam from boilers to anything connected to it';
+PipeModule.solid = false;
+PipeModule.carriesSteam = true;
+
+export class CargoHoldModule extends ShipModule {
+    get weight() {
+        return 3 * this.upgradeWeight;
+    }
+
+    get fragility() {
+        return .25 / this.upgradeFactor;
+    }
+
+    static canBuildAt(ship, modX, modY) {
+        const moduleBelow = ship.getModule(modX, modY - 1);
+        return moduleBelow && moduleBelow.solid;
+    }
+
+    // room for this much more coal
+    get capacity() {
+        return CARGO_HOLD_CAPACITY * this.upgradeFactor;
+    }
+
+    // it comes loaded
+    onBuilt() {
+        this.state.addFuel(this.capacity);
+    }
+}
+CargoHoldModule.moduleName = 'Cargo hold';
+CargoHoldModule.cost = 15;
+CargoHoldModule.description = 'Stores more coal for the boilers, and comes full of it';
+
+export const moduleTypes = [HullModule, SailModule, BoilerModule, PropellerModule, FinSailModule, BalloonModule, CastleModule, SmokeStackModule, PumpModule, LanternModule, CannonModule, PipeModule, CargoHoldModule];
+
+export class CrewMember {
+    constructor(state, x, y) {
+        this.state = state;
+        // the grid cell they're standing in; only changes once they get somewhere
+        this.x = x;
+        this.y = y;
+        this.task = null;
+    }
+
+    get isBusy() {
+        return !!this.task;
+    }
+
+    get isWorking() {
+        return !!this.task && this.task.walkTimeRemaining == 0;
+    }
+
+    distanceTo(x, y) {
+        return Math.abs(this.x - x) + Math.abs(this.y - y);
+    }
+
+    // where they are on the grid right now, part way between cells while walking
+    get position() {
+        const { task } = this;
+        if (!task || task.walkTime == 0) return { x: this.x, y: this.y };
+
+        const progress = 1 - task.walkTimeRemaining / task.walkTime;
+        return {
+            x: this.x + (task.module.x - this.x) * progress,
+            y: this.y + (task.module.y - this.y) * progress,
+        };
+    }
+
+    // a fully flooded hull is no place to stand, unless you're patching it
+    get isDrowning() {
+        const module = this.state.ship.getModule(this.x, this.y, HullModule);
+        if (!module || module.floodAmount < module.buoyancy) return false;
+        return !(this.isWorking && this.task.module == module);
+    }
+
+    repair(module) {
+        const walkTime = this.distanceTo(module.x, module.y) * CREW_WALK_TIME;
+        this.task = { module, walkTime, walkTimeRemaining: walkTime, workTimeRemaining: REPAIR_TIME };
+        if (walkTime == 0) this.arrive();
+    }
+
+    arrive() {
+        const { module } = this.task;
+        this.x = module.x;
+        this.y = module.y;
+        this.state.emit('startFix', module);
+    }
+
+    abandonTask() {
+        if (!this.task) return;
+        this.task.module.isBeingRepaired = false;
+        this.task = null;
+    }
+
+    tick(timeSinceLastTick) {
+        const { task } = this;
+        if (!task) return;
+
+        if (task.walkTimeRemaining > 0) {
+            task.walkTimeRemaining = Math.max(0, task.walkTimeRemaining - timeSinceLastTick);
+            if (task.walkTimeRemaining == 0) this.arrive();
+            return;
+        }
+
+        task.workTimeRemaining -= timeSinceLastTick;
+        if (task.workTimeRemaining <= 0) {
+            this.task = null;
+            task.module.fix();
+        }
+    }
+
+    serialize() {
+        return { x: this.x, y: this.y };
+    }
+}
+
+export class Ship {
+    constructor(state) {
+        this.state = state;
+        this.columns = 5;
+        this.rows = 1;
+        this.modules = [];
+    }
+
+    tick(timeSinceLastTick) {
+        for (const row of this.modules) {
+            for (const module of row) {
+                if (module) {
+                    module.tick(timeSinceLastTick);
+                }
+            }
+        }
+    }
+
+    // Share the boilers' steam out over each network of linked boilers, pipes and whatever
+    // draws on them, setting every module's steamPressure.  A network with more demand
+    // than supply runs everything on it at reduced pressure.
+    updateSteam() {
+        const modules = this.modules.flat();
+        for (const module of modules) module.steamPressure = 0;
+
+        const visited = new Set();
+        for (const start of modules) {
+            if (!start.carriesSteam || visited.has(start)) continue;
+
+            const network = [start];
+            visited.add(start);
+            for (let i = 0; i < network.length; i++) {
+                for (const module of network[i].steamLinks) {
+                    if (visited.has(module)) continue;
+                    visited.add(module);
+                    network.push(module);
+                }
+            }
+
+            let supply = 0;
+            let demand = 0;
+            for (const module of network) {
+                supply += module.steamOutput;
+                demand += module.steamDemand;
+            }
+            const pressure = demand > 0 ? Math.min(1, supply / demand) : (supply > 0 ? 1 : 0);
+            for (const module of network) module.steamPressure = pressure;
+        }
+    }
+
+    getStats() {
+        const stats = {weight: 0};
+        for (const row of this.modules) {
+            for (const module of row) {
+                stats.weight += module.weight;
+                const moduleStats = module.getStats();
+                for (const key in moduleStats) {
+                    stats[key] = (stats[key] || 0) + moduleStats[key];
+                }
+            }
+        }
+
+        if (this.state.isRowing) {
+            stats.speed = (stats.speed || 0) + ROW_SPEED;
+        }
+        return stats;
+    }
+
+    // How deep the bottom of column x sits, deeper on the side the ship is heeling towards.
+    // The ship rolls about the middle of the grid.
+    draughtAt(x) {
+        const offset = (x + .5) - this.columns / 2;
+        return this.state.shipDraught + Math.sin(this.state.heel) * offset * SHIP_MODULE_WIDTH;
+    }
+
+    // Average column (measured from the left edge) weighted by how much each module
+    // weighs, or null if nothing weighs anything.
+    get centreOfMass() {
+        let total = 0;
+        let moment = 0;
+        for (const row of this.modules) {
+            for (const module of row) {
+                total += module.weight;
+                moment += module.weight * (module.x + .5);
+            }
+        }
+        return total > 0 ? moment / total : null;
+    }
+
+    // The same for how hard the water is pushing up on the hulls, or null if nothing's
+    // in the water.  Flooded hulls push back less.
+    get centreOfBuoyancy() {
+        let total = 0;
+        let moment = 0;
+        for (const row of this.modules) {
+            for (const module of row) {
+                const buoyancy = Math.max(0, module.getStats().buoyancy || 0);
+                total += buoyancy;
+                moment += buoyancy * (module.x + .5);
+            }
+        }
+        return total > 0 ? moment / total : null;
+    }
+
+    // getStats() split up by module name (and the oars), to see where it all comes from
+    getStatsByType() {
+        const byType = {};
+        const add = (name, weight, moduleStats) => {
+            const entry = byType[name] || (byType[name] = { count: 0, weight: 0, buoyancy: 0, speed: 0 });
+            entry.count++;
+            entry.weight += weight;
+            entry.buoyancy += moduleStats.buoyancy || 0;
+            entry.speed += moduleStats.speed || 0;
+        };
+
+        for (const row of this.modules) {
+            for (const module of row) {
+                const { moduleName } = module.constructor;
+                if (!moduleName) continue;
+                add(moduleName, module.weight, module.getStats());
+            }
+        }
+
+        if (this.state.isRowing) {
+            add('Oars', 0, { speed: ROW_SPEED });
+        }
+        return byType;
+    }
+
+    canBuildModule(x, y, ModuleClass) {
+        // the edges only stay open for solids while there's room to widen past them
+        if (ModuleClass.solid && (x === 0 || x === this.columns - 1) && this.columns >= MAX_COLUMNS) {
+            return false;
+        }
+        const res = ModuleClass.canBuildAt(this, x, y);
+        return res;
+    }
+
+    addModule(x, y, ModuleClass) {
+        if (y + 1 >= this.rows) this.rows = y + 2;
+
+        for (let yOffset = 0; yOffset < 2; yOffset++) {
+            if (!this.modules[y+yOffset]) {
+                const newRow = [];
+                for (let i = 0; i<this.columns; i++) {
+                    newRow.push(new NullModule(this, i, y+yOffset));
+                }
+                this.modules[y+yOffset] = newRow;
+            }
+        }
+
+        const newModule = new ModuleClass(this, x, y);
+        this.modules[y][x] = newModule;
+
+        this.updateModule(x - 1, y);
+        this.updateModule(x + 1, y);
+        this.updateModule(x, y - 1);
+        this.updateModule(x, y + 1);
+
+        this.state.emit('moduleAdded', newModule);
+        return newModule;
+    }
+
+    // Add an empty column on one side ('left' or 'right').  Widening on the left
+    // moves everything (crew included) one column over.
+    addColumn(side) {
+        this.columns++;
+        this.modules.forEach((row, y) => {
+            if (side == 'left') {
+                for (const module of row) module.x++;
+                row.unshift(new NullModule(this, 0, y));
+            } else {
+                row.push(new NullModule(this, this.columns - 1, y));
+            }
+        });
+
+        if (side == 'left') {
+            for (const member of this.state.crew) member.x++;
+        }
+        this.state.emit('shipWidened', side);
+    }
+
+    // keep an empty column to build into on either side of anything at the edge
+    widenAround(x) {
+        if (x == this.columns - 1 && this.columns < MAX_COLUMNS) this.addColumn('right');
+        if (x == 0 && this.columns < MAX_COLUMNS) this.addColumn('left');
+    }
+
+    // remove every module, leaving an empty grid `columns` wide
+    clear(columns = this.columns) {
+        this.columns = columns;
+        this.rows = 1;
+        this.modules = [];
+    }
+
+    serialize() {
+        const modules = [];
+        for (const row of this.modules) {
+            for (const module of row) {
+                // anything still under construction is lost along with its build action
+                const type = module.constructor.name;
+                if (type == 'NullModule' || type == 'ConstructionModule') continue;
+                modules.push(module.serialize());
+            }
+        }
+        return { columns: this.columns, modules };
+    }
+
+    // rebuild from serialize() output; modules are stored bottom row first, so
+    // anything a module looks at on construction (like a smoke stack's boiler) exists
+    restore({ columns, modules }) {
+        this.clear(columns);
+        for (const data of modules) {
+            const ModuleClass = moduleTypes.find(moduleType => moduleType.name == data.type);
+            this.addModule(data.x, data.y, ModuleClass).restore(data);
+        }
+        this.updateSteam();
+    }
+
+    // A module is supported if it could still be built where it is; hulls in the bottom
+    // row are the keel and always count as supported (the very first one never could be built).
+    isSupported(module) {
+        if (module.y == 0 && module instanceof HullModule) return true;
+        return this.canBuildModule(module.x, module.y, module.constructor);
+    }
+
+    // Every module that would be left unsupported if the one at x, y was removed,
+    // including anything that only depends on those in turn.
+    findUnsupported(x, y) {
+        const original = this.modules[y][x];
+        const unsupported = [];
+        this.modules[y][x] = new NullModule(this, x, y);
+
+        let changed = true;
+        while (changed) {
+            changed = false;
+            for (const row of this.modules) {
+                for (const module of row) {
+                    if (!moduleTypes.includes(module.constructor)) continue;
+                    if (!this.isSupported(module)) {
+                        unsupported.push(module);
+                        row[module.x] = new NullModule(this, module.x, module.y);
+                        changed = true;
+                    }
+                }
+            }
+        }
+
+        // put everything back
+        for (const module of unsupported) {
+            this.modules[module.y][module.x] = module;
+        }
+        this.modules[y][x] = original;
+        return unsupported;
+    }
+
+    // Every module no longer hanging off the keel row through solid modules, or through
+    // the steam pipes that whatever draws steam from them can be built off.  Broken
+    // modules stay put themselves but can't hold anything else up.
+    findDetached() {
+        const attached = new Set(this.modules[0].filter(module => !(module instanceof NullModule)));
+        const queue = [...attached];
+        while (queue.length) {
+            const module = queue.shift();
+            if (!(module.solid || module.carriesSteam) || module.damageLevel == 'broken') continue;
+
+            for (const [i, j] of [[-1, 0], [1, 0], [0, -1], [0, 1]]) {
+                const neighbour = this.getModule(module.x + i, module.y + j);
+                if (!neighbour || neighbour instanceof NullModule || attached.has(neighbour)) continue;
+                if (!module.solid && !neighbour.connectedModules.includes(module)) continue;
+                attached.add(neighbour);
+                queue.push(neighbour);
+            }
+        }
+
+        return this.modules.flat().filter(module => !(module instanceof NullModule) && !attached.has(module));
+    }
+
+    // Let everything that's come loose fall into the sea, along with anyone standing on it
+    dropDetached() {
+        const detached = this.findDetached();
+        if (!detached.length) return detached;
+
+        for (const module of detached) {
+            this.modules[module.y][module.x] = new NullModule(this, module.x, module.y);
+        }
+
+        const { crew } = this.state;
+        for (const member of crew) {
+            if (member.task && detached.includes(member.task.module)) member.abandonTask();
+        }
+        for (const member of crew.filter(member => detached.some(module => module.x == member.x && module.y == member.y))) {
+            crew.splice(crew.indexOf(member), 1);
+            this.state.emit('crewLost', member);
+        }
+
+        for (const module of detached) {
+            this.updateModule(module.x - 1, module.y);
+            this.updateModule(module.x + 1, module.y);
+            this.updateModule(module.x, module.y - 1);
+            this.updateModule(module.x, module.y + 1);
+            this.state.emit('moduleDetached', module);
+        }
+        return detached;
+    }
+
+    // returns a reason the module at x, y can't be removed, or null if it can
+    canRemoveModule(x, y) {
+        const module = this.getModule(x, y);
+        if (!module || !moduleTypes.includes(module.constructor)) {
+            return 'There\'s nothing to remove';
+        }
+
+        if (this.moduleCount == 1) {
+            return 'That\'s all that\'s keeping you afloat';
+        }
+
+        const unsupported = this.findUnsupported(x, y);
+
+        // and whatever would come loose from the keel and fall off once it's gone
+        const original = this.modules[y][x];
+        this.modules[y][x] = new NullModule(this, x, y);
+        const detached = this.findDetached();
+        this.modules[y][x] = original;
+
+        const lost = [...new Set([...unsupported, ...detached])];
+        if (lost.length) {
+            const names = [...new Set(lost.map(m => m.constructor.moduleName))];
+            return `The ${names.join(', ')} would be left unsupported`;
+        }
+
+        return null;
+    }
+
+    // Pay for a module and put up scaffolding that turns into it after the build
+    // action.  Returns why not if it can't be built.
+    construct(x, y, ModuleClass) {
+        if (!this.state.isUnlocked(ModuleClass)) return `${ModuleClass.moduleName} isn't unlocked yet`;
+        if (!this.canBuildModule(x, y, ModuleClass)) return 'Can\'t build that here';
+        if (!this.state.spend(ModuleClass.cost)) return `Costs ${ModuleClass.cost} coins`;
+
+        // the scaffolding may be moved over if the grid widens to the left
+        const scaffolding = this.addModule(x, y, ConstructionModule);
+        this.widenAround(x);
+        this.state.doPlayerAction(1000, () => {
+            if (scaffolding.isAttached) this.addModule(scaffolding.x, scaffolding.y, ModuleClass).onBuilt();
+        });
+        return null;
+    }
+
+    removeModule(x, y) {
+        const module = this.getModule(x, y);
+        this.modules[y][x] = new NullModule(this, x, y);
+
+        this.updateModule(x, y);
+        this.updateModule(x - 1, y);
+        this.updateModule(x + 1, y);
+        this.updateModule(x, y - 1);
+        this.updateModule(x, y + 1);
+
+        this.state.emit('moduleRemoved', module);
+        return module;
+    }
+
+    // let whoever is displaying the module at x, y know that its surroundings changed
+    updateModule(x, y) {
+        const module = this.getModule(x, y);
+        if (module) this.state.emit('moduleUpdated', module);
+    }
+
+    // everything back to full health, all at once
+    repairAll() {
+        for (const row of this.modules) {
+            for (const module of row) {
+                if (module.damage > 0 && !module.isBeingRepaired) module.fix();
+            }
+        }
+    }
+
+    drainHulls() {
+        for (const row of this.modules) {
+            for (const module of row) {
+                if (module instanceof HullModule) module.floodAmount = 0;
+            }
+        }
+    }
+
+    // How well lit a cell is, from 0 (dark) to 1 (right by a light)
+    lightAt(x, y) {
+        let light = 0;
+        for (const row of this.modules) {
+            for (const module of row) {
+                const { lightRadius } = module;
+                if (lightRadius == 0) continue;
+
+                const distance = Math.hypot(module.x - x, module.y - y);
+                if (distance <= lightRadius) {
+                    light = Math.max(light, 1 - distance / (lightRadius + 1));
+                }
+            }
+        }
+        return light;
+    }
+
+    get mostDamagedModule() {
+        let mostDamaged = null;
+        for (const row of this.modules) {
+            for (const module of row) {
+                if (module.damage > 0 && !module.isBeingRepaired && (!mostDamaged || module.damage > mostDamaged.damage)) {
+                    mostDamaged = module;
+                }
+            }
+        }
+        return mostDamaged;
+    }
+
+    // where crew come aboard: the middle hull of the bottom row, or the middle
+    // of the grid before there's a keel to stand on
+    get boardingX() {
+        const hulls = (this.modules[0] || []).filter(module => module instanceof HullModule);
+        return hulls.length ? hulls[Math.floor(hulls.length / 2)].x : Math.floor(this.columns / 2);
+    }
+
+    get moduleCount() {
+        let moduleCount = 0;
+        for (const row of this.modules) {
+            for (const module of row) {
+                if (module.constructor.name != 'NullModule') {
+                    moduleCount += 1;
+                }
+            }
+        }
+        return moduleCount;
+    }
+
+    getModule(x, y, ModuleClass = undefined) {
+        if (!this.modules[y]) return;
+        const module = this.modules[y][x];
+        if (ModuleClass && !(module instanceof ModuleClass)) return;
+        return module;
+    }
+}
@@ -16,7 +16,7 @@ sounds['cancel'] = new Audio('sound/cancel.mp3');
 sounds['cancel'].volume = 0.50
 
 sounds['row'] = new Audio('sound/row.mp3');
-sounds['row'] = 0.70;
+sounds['row'].volume = 0.70;
 
 sounds['bucket'] = new Audio('sound/bucket.mp3');
 sounds['bucket'].volume = 0.70;